@@ -0,0 +1,159 @@
+/**
+ * jsPDF++ - Asset loaders
+ *
+ * Fonts and images are referenced by paths relative to the shipped assets/
+ * directory ("fonts/Inter-Regular.ttf", "images/creative-header-bar.png").
+ * A loader is an async function that resolves such a path to bytes:
+ *
+ *   (path) => Promise<Uint8Array | null>
+ *
+ * null means "not found". Data URIs are decoded by every loader, so themes
+ * and callers can inline small assets without a loader of their own.
+ */
+
+// Default URL layout of the original web app (fonts and images live under /static)
+const DEFAULT_FETCH_PATHS = {
+  fonts: '/static/fonts/',
+  images: '/static/images/pdf/',
+};
+
+// The assets/ directory shipped with this package
+const PACKAGE_ASSETS = new URL('../assets/', import.meta.url);
+
+/**
+ * Helper: Normalise loader results (ArrayBuffer, typed array, base64) to Uint8Array
+ */
+export function toBytes(data) {
+  if (data == null) return null;
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  if (typeof data === 'string') {
+    if (data.startsWith('data:')) return decodeDataUri(data);
+    return base64ToBytes(data);
+  }
+  throw new TypeError(`Unsupported asset data: ${Object.prototype.toString.call(data)}`);
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+function decodeDataUri(uri) {
+  const comma = uri.indexOf(',');
+  const meta = uri.slice(0, comma);
+  const payload = uri.slice(comma + 1);
+  if (meta.endsWith(';base64')) return base64ToBytes(payload);
+  return new TextEncoder().encode(decodeURIComponent(payload));
+}
+
+/**
+ * Load an asset through a loader and normalise the result to Uint8Array
+ * (custom loaders may return ArrayBuffers, Node Buffers or base64 strings)
+ */
+export async function loadAsset(loader, path) {
+  return toBytes(await loader(path));
+}
+
+/**
+ * Encode bytes as base64 (jsPDF's addFileToVFS and addImage expect base64)
+ */
+export function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Image format of PNG or JPEG bytes, from their signature
+ * @param {Uint8Array} bytes
+ * @returns {string|null} 'png' | 'jpeg', or null for anything else
+ */
+export function imageType(bytes) {
+  if (bytes.length >= 4 && bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4E && bytes[3] === 0x47) return 'png';
+  if (bytes.length >= 3 && bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) return 'jpeg';
+  return null;
+}
+
+/**
+ * Map asset paths to URLs the way createFetchLoader() fetches them
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Prefix for every relative path (overrides `paths`)
+ * @param {Object} [options.paths] - Prefix per top-level folder, e.g. { fonts: '/static/fonts/' }
+ * @returns {Function} (path) => URL
+ */
+export function createAssetUrlResolver(options = {}) {
+  const { baseUrl, paths = DEFAULT_FETCH_PATHS } = options;
+
+  return function resolveUrl(path) {
+    // Absolute paths, URLs and data URIs are used as-is
+    if (/^([a-z][a-z0-9+.-]*:|\/)/i.test(path)) return path;
+    if (baseUrl) return baseUrl.replace(/\/?$/, '/') + path;
+
+    const slash = path.indexOf('/');
+    const folder = path.slice(0, slash);
+    if (slash > 0 && paths[folder]) return paths[folder] + path.slice(slash + 1);
+    return path;
+  };
+}
+
+/**
+ * Loader that fetches assets over HTTP (browser default)
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Prefix for every relative path (overrides `paths`)
+ * @param {Object} [options.paths] - Prefix per top-level folder, e.g. { fonts: '/static/fonts/' }
+ */
+export function createFetchLoader(options = {}) {
+  const resolveUrl = createAssetUrlResolver(options);
+
+  return async function fetchLoader(path) {
+    if (path.startsWith('data:')) return decodeDataUri(path);
+    const response = await fetch(resolveUrl(path));
+    if (!response.ok) return null;
+    return new Uint8Array(await response.arrayBuffer());
+  };
+}
+
+/**
+ * Loader that reads assets from the file system (Node.js)
+ * @param {string|URL} [rootDir] - Directory relative paths resolve against (defaults to this package's assets/)
+ */
+export function createFileLoader(rootDir = PACKAGE_ASSETS) {
+  const root = rootDir instanceof URL ? rootDir : String(rootDir).replace(/\/?$/, '/');
+
+  return async function fileLoader(path) {
+    if (path.startsWith('data:')) return decodeDataUri(path);
+
+    // Loaded lazily so this module still imports in the browser
+    const { readFile } = await import('node:fs/promises');
+    let target;
+    if (path.startsWith('/')) target = path;
+    else if (root instanceof URL) target = new URL(path, root);
+    else target = root + path;
+
+    try {
+      return new Uint8Array(await readFile(target));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+}
+
+/**
+ * Loader backed by in-memory data
+ * @param {Object} files - Map of path -> Uint8Array | ArrayBuffer | base64 string | data URI
+ */
+export function createMemoryLoader(files) {
+  return async function memoryLoader(path) {
+    if (path.startsWith('data:')) return decodeDataUri(path);
+    return toBytes(files[path]);
+  };
+}
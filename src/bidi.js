@@ -0,0 +1,234 @@
+/**
+ * jsPDF++ - Bidirectional text
+ *
+ * Arabic, Hebrew and other right-to-left resumes are laid out mirrored:
+ *
+ *   generatePDF(theme, data, { direction: 'rtl' })
+ *
+ * The direction defaults to that of data.language ('ar', 'he', 'fa'...).
+ * Text keeps its logical order in the resume data and the layout tree; lines
+ * mixing directions (a Latin company name inside an Arabic bullet) are split
+ * into runs by a simplified Unicode Bidirectional Algorithm (UAX #9: weak and
+ * neutral types, bracket pairs, implicit levels, reordering; no explicit
+ * embeddings or isolates). Runs at odd levels read right to left and are
+ * reversed only when drawn, so PDF text extractors, which apply the same
+ * algorithm, read them back in logical order.
+ */
+
+export const DIRECTIONS = ['ltr', 'rtl'];
+
+// Languages written right to left (primary subtag of data.language)
+const RTL_LANGUAGES = ['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'iw', 'ku', 'ps', 'sd', 'syr', 'ug', 'ur', 'yi'];
+
+// Paired punctuation drawn as its mirror image in right-to-left runs
+const MIRRORED = {
+  '(': ')', ')': '(', '[': ']', ']': '[', '{': '}', '}': '{', '<': '>', '>': '<',
+  '\u00AB': '\u00BB', '\u00BB': '\u00AB', '\u2039': '\u203A', '\u203A': '\u2039', '\u2264': '\u2265', '\u2265': '\u2264',
+};
+
+/**
+ * Resolve the document direction
+ * @param {Object} formData - Checked form data (language)
+ * @param {Object} options - generatePDF options (direction)
+ * @returns {string} 'ltr' | 'rtl'
+ */
+export function resolveDirection(formData, options) {
+  if (options.direction != null) {
+    if (!DIRECTIONS.includes(options.direction)) {
+      throw new Error(`Unknown direction '${options.direction}' (expected ${DIRECTIONS.join(', ')})`);
+    }
+    return options.direction;
+  }
+
+  const language = String(formData.language || '').toLowerCase().split(/[-_]/)[0];
+  return RTL_LANGUAGES.includes(language) ? 'rtl' : 'ltr';
+}
+
+// Opening brackets and their partners (Bidi_Paired_Bracket)
+const BRACKETS = { '(': ')', '[': ']', '{': '}' };
+
+// Helper: Bidi class of a character, reduced to the classes the algorithm below uses
+function bidiType(char) {
+  if (char === '\u200E') return 'L'; // Left-to-right mark
+  if (char === '\u200F') return 'R'; // Right-to-left mark
+  if (/\p{M}/u.test(char)) return 'NSM';
+  if (/[0-9\u06F0-\u06F9]/.test(char)) return 'EN';
+  if (/[\u0660-\u0669\u066B\u066C]/.test(char)) return 'AN';
+  if (/[\u0590-\u05FF\u07C0-\u085F\uFB1D-\uFB4F]/.test(char)) return 'R'; // Hebrew, N'Ko, Samaritan, Mandaic
+  if (char === '\u060C') return 'CS'; // Arabic comma
+  if (/[\u0600-\u07BF\u0860-\u08FF\uFB50-\uFDFF\uFE70-\uFEFF]/.test(char)) return 'AL'; // Arabic, Syriac, Thaana
+  if (/[+\-\u2212]/.test(char)) return 'ES';
+  if (/[#$%\u00A2-\u00A5\u00B0\u00B1\u2030-\u2034\u20A0-\u20CF]/.test(char)) return 'ET';
+  if (/[,.:/\u00A0]/.test(char)) return 'CS';
+  if (/\s/.test(char)) return 'WS';
+  if (/[\p{L}\p{N}]/u.test(char)) return 'L';
+  return 'ON';
+}
+
+// Helper: Strong direction a type counts as when resolving neutrals (numbers count as R)
+function strongSide(type) {
+  if (type === 'L') return 'L';
+  if (type === 'R' || type === 'EN' || type === 'AN') return 'R';
+  return null;
+}
+
+/**
+ * Embedding level of every character
+ * @param {string} text - One line (or shorter) in logical order
+ * @param {number} baseLevel - 0 for left-to-right paragraphs, 1 for right-to-left
+ * @returns {number[]} One level per UTF-16 code unit; odd levels read right to left
+ */
+export function bidiLevels(text, baseLevel) {
+  const chars = [...text];
+  const types = chars.map(bidiType);
+  const sos = baseLevel % 2 ? 'R' : 'L';
+
+  // W1-W3: marks take the type before them; European digits after Arabic letters are Arabic numbers
+  let strong = sos;
+  types.forEach((type, i) => {
+    if (type === 'NSM') types[i] = i > 0 ? types[i - 1] : sos;
+    if (types[i] === 'EN' && strong === 'AL') types[i] = 'AN';
+    if (['L', 'R', 'AL'].includes(types[i])) strong = types[i];
+  });
+  types.forEach((type, i) => {
+    if (type === 'AL') types[i] = 'R';
+  });
+
+  // W4: a single separator between two numbers of the same kind joins them
+  for (let i = 1; i < types.length - 1; i++) {
+    const before = types[i - 1];
+    const after = types[i + 1];
+    if (types[i] === 'ES' && before === 'EN' && after === 'EN') types[i] = 'EN';
+    if (types[i] === 'CS' && before === after && (before === 'EN' || before === 'AN')) types[i] = before;
+  }
+
+  // W5: terminators (%, $, #) next to European numbers belong to them
+  for (let i = 0; i < types.length; i++) {
+    if (types[i] !== 'ET') continue;
+    let end = i;
+    while (end < types.length && types[end] === 'ET') end++;
+    if ((i > 0 && types[i - 1] === 'EN') || types[end] === 'EN') types.fill('EN', i, end);
+    i = end - 1;
+  }
+
+  // W6-W7: other separators are neutral; European numbers in left-to-right context are L
+  strong = sos;
+  types.forEach((type, i) => {
+    if (type === 'ES' || type === 'ET' || type === 'CS') types[i] = 'ON';
+    if (type === 'L' || type === 'R') strong = type;
+    if (type === 'EN' && strong === 'L') types[i] = 'L';
+  });
+
+  // N0: paired brackets take the direction of the text inside them, or of the text before them
+  // when only the other direction is inside, so "English (Fluent)" stays together in Arabic text
+  const open = [];
+  const pairs = [];
+  chars.forEach((char, i) => {
+    if (types[i] !== 'ON') return;
+    if (BRACKETS[char]) {
+      open.push({ index: i, close: BRACKETS[char] });
+      return;
+    }
+    const match = open.map(bracket => bracket.close).lastIndexOf(char);
+    if (match >= 0) {
+      pairs.push([open[match].index, i]);
+      open.length = match;
+    }
+  });
+  pairs.sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+    const inside = types.slice(start + 1, end).map(strongSide).filter(Boolean);
+    if (inside.length === 0) return;
+
+    let side = sos;
+    if (!inside.includes(sos)) {
+      const before = types.slice(0, start).map(strongSide).filter(Boolean).pop() || sos;
+      if (before !== sos) side = before;
+    }
+    types[start] = side;
+    types[end] = side;
+  });
+
+  // N1-N2: neutrals take the direction on both sides when it agrees, else the paragraph's
+  for (let i = 0; i < types.length; i++) {
+    if (types[i] !== 'WS' && types[i] !== 'ON') continue;
+    let end = i;
+    while (end < types.length && (types[end] === 'WS' || types[end] === 'ON')) end++;
+    const before = i > 0 ? strongSide(types[i - 1]) : sos;
+    const after = end < types.length ? strongSide(types[end]) : sos;
+    types.fill(before === after ? before : sos, i, end);
+    i = end - 1;
+  }
+
+  // I1-I2: implicit levels
+  const levels = types.map(type => {
+    if (baseLevel % 2 === 0) {
+      if (type === 'R') return baseLevel + 1;
+      if (type === 'AN' || type === 'EN') return baseLevel + 2;
+      return baseLevel;
+    }
+    return type === 'L' || type === 'EN' || type === 'AN' ? baseLevel + 1 : baseLevel;
+  });
+
+  // L1: whitespace at the end of the line goes back to the paragraph level
+  for (let i = chars.length - 1; i >= 0 && /\s/.test(chars[i]); i--) levels[i] = baseLevel;
+
+  // One level per code unit, so levels line up with string indices
+  return chars.flatMap((char, i) => (char.length > 1 ? [levels[i], levels[i]] : [levels[i]]));
+}
+
+/**
+ * Split text into runs of one embedding level, in logical order
+ * @param {string} text
+ * @param {number} baseLevel - 0 (ltr) or 1 (rtl)
+ * @returns {Array<{ text: string, level: number }>}
+ */
+export function bidiRuns(text, baseLevel) {
+  const levels = bidiLevels(text, baseLevel);
+  const runs = [];
+
+  for (let i = 0; i < text.length; i++) {
+    const last = runs[runs.length - 1];
+    if (last && last.level === levels[i]) last.text += text[i];
+    else runs.push({ text: text[i], level: levels[i] });
+  }
+  return runs;
+}
+
+/**
+ * Put runs in display order, left to right (UAX #9 rule L2)
+ * @param {Object[]} runs - Anything with a `level`, in logical order
+ * @returns {Object[]} A new array
+ */
+export function visualOrder(runs) {
+  const order = runs.slice();
+  const levels = order.map(run => run.level);
+  const highest = Math.max(0, ...levels);
+  const lowestOdd = Math.min(...levels.map(level => (level % 2 ? level : level + 1)), highest + 1);
+
+  // From the highest level down to the lowest odd one, reverse every stretch at or above it
+  for (let level = highest; level >= lowestOdd; level--) {
+    let start = 0;
+    while (start < order.length) {
+      if (order[start].level < level) {
+        start++;
+        continue;
+      }
+      let end = start;
+      while (end < order.length && order[end].level >= level) end++;
+      order.splice(start, end - start, ...order.slice(start, end).reverse());
+      start = end;
+    }
+  }
+  return order;
+}
+
+/**
+ * Characters of a right-to-left run in drawing order: reversed, combining
+ * marks kept after their base character and paired punctuation mirrored
+ * @param {string} text - Logical order
+ * @returns {string}
+ */
+export function visualText(text) {
+  const clusters = text.match(/\P{M}\p{M}*|\p{M}+/gu) || [];
+  return clusters.reverse().map(cluster => MIRRORED[cluster] || cluster).join('');
+}
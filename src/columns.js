@@ -0,0 +1,120 @@
+/**
+ * jsPDF++ - Column layouts
+ *
+ * theme.layout splits the content area (page minus margins) into columns,
+ * listed from the start edge: left to right, or right to left in 'rtl'
+ * documents. Each column flows and breaks pages independently:
+ *
+ *   layout: {
+ *     gap: '6mm',
+ *     columns: [
+ *       { id: 'sidebar', width: '60mm', sections: ['header', 'skills', 'languages'], background: [241, 245, 249] },
+ *       { id: 'main' },  // no `sections`: receives everything not assigned elsewhere
+ *     ],
+ *   }
+ *
+ * `sections` entries match section.id first, then section.type. Widths accept
+ * mm (number or '60mm'), CSS px ('220px') or a percentage of the content width;
+ * columns without a width share what is left.
+ */
+
+import { px } from './units.js';
+
+/**
+ * Convert a layout length to mm
+ * @param {number|string} value - 12 | '12mm' | '48px' | '30%'
+ * @param {number} reference - Length in mm that percentages refer to
+ */
+export function parseLength(value, reference) {
+  if (typeof value === 'number') return value;
+
+  const match = /^\s*(-?[\d.]+)\s*(mm|px|%)?\s*$/.exec(String(value));
+  if (!match) throw new Error(`Invalid layout length '${value}' (expected mm, px or %)`);
+
+  const amount = parseFloat(match[1]);
+  if (match[2] === 'px') return px(null, amount);
+  if (match[2] === '%') return (amount / 100) * reference;
+  return amount;
+}
+
+/**
+ * Resolve theme.layout into positioned columns
+ * @param {Object} theme
+ * @param {{ width: number, height: number }} pageSize - mm
+ * @param {string} [direction='ltr'] - 'rtl' mirrors the columns across the page
+ * @returns {Object[]} Columns with { id, left, right, background, sections }, in theme order
+ */
+export function resolveColumns(theme, pageSize, direction = 'ltr') {
+  const margin = theme.margin;
+  const contentWidth = pageSize.width - 2 * margin;
+  const layout = theme.layout;
+
+  if (!layout || !layout.columns || layout.columns.length < 2) {
+    return [{ id: 'main', left: margin, right: pageSize.width - margin, background: null, sections: null }];
+  }
+
+  const gap = parseLength(layout.gap || 0, contentWidth);
+  const specs = layout.columns;
+  const available = contentWidth - gap * (specs.length - 1);
+
+  const fixed = specs.map(spec => (spec.width != null ? parseLength(spec.width, contentWidth) : null));
+  const fixedTotal = fixed.reduce((sum, width) => sum + (width || 0), 0);
+  const flexible = fixed.filter(width => width === null).length;
+  const flexWidth = flexible ? (available - fixedTotal) / flexible : 0;
+
+  if (fixedTotal > available + 0.01 || flexWidth < 0) {
+    throw new Error(`Layout columns (${fixedTotal.toFixed(1)}mm) are wider than the content area (${available.toFixed(1)}mm)`);
+  }
+
+  let x = margin;
+  const columns = specs.map((spec, i) => {
+    const width = fixed[i] === null ? flexWidth : fixed[i];
+    const column = {
+      id: spec.id || `column${i + 1}`,
+      left: x,
+      right: x + width,
+      background: spec.background || null,
+      sections: spec.sections || null,
+      // Tinted area reaches the page edge on the outside and the middle of the gap inside
+      fillLeft: i === 0 ? 0 : x - gap / 2,
+      fillRight: i === specs.length - 1 ? pageSize.width : x + width + gap / 2,
+    };
+    x += width + gap;
+    return column;
+  });
+
+  if (direction !== 'rtl') return columns;
+  return columns.map(column => ({
+    ...column,
+    left: pageSize.width - column.right,
+    right: pageSize.width - column.left,
+    fillLeft: pageSize.width - column.fillRight,
+    fillRight: pageSize.width - column.fillLeft,
+  }));
+}
+
+/**
+ * Assign each section to a column, keeping document order within a column
+ * @param {Object[]} columns - From resolveColumns()
+ * @param {Object[]} sections - formData.sections
+ * @returns {Object[]} [{ column, sections }] ordered by each column's first section,
+ *                     so ghost tags read linearly column by column
+ */
+export function assignSections(columns, sections) {
+  const fallback = columns.find(column => !column.sections) || columns[columns.length - 1];
+  const flows = columns.map(column => ({ column, sections: [], first: Infinity }));
+
+  sections.forEach((section, index) => {
+    let flow = flows.find(({ column }) => column.sections && section.id != null && column.sections.includes(section.id));
+    if (!flow) flow = flows.find(({ column }) => column.sections && column.sections.includes(section.type));
+    if (!flow) flow = flows.find(({ column }) => column === fallback);
+
+    flow.sections.push(section);
+    flow.first = Math.min(flow.first, index);
+  });
+
+  return flows
+    .filter(flow => flow.sections.length > 0)
+    .sort((a, b) => a.first - b.first)
+    .map(({ column, sections: assigned }) => ({ column, sections: assigned }));
+}
@@ -0,0 +1,195 @@
+/**
+ * jsPDF++ - Theme decorations
+ *
+ * Bullets, header alignment, rules and photo, and section header styles are
+ * plain theme data, so any theme can combine them:
+ *
+ *   bullet: { shape: 'diamond', size: 0.9 },
+ *   header: { align: 'center', transform: 'uppercase', rule: { thickness: 1.5, color: [0, 0, 0], gap: 4 } },
+ *   sectionHeader: { style: 'box', color: [37, 99, 235], box: { fill: [230, 231, 235] } },
+ *
+ * header.photo places the header's photo (data: header.content.photo):
+ *
+ *   photo: { size: 24, position: 'left', shape: 'circle', border: { width: 0.8, color: [255, 255, 255] } },
+ *
+ * The image is cropped to fill a size x size frame: a 'circle', a 'rounded'
+ * square (corner radius `radius`) or a 'square'. At the 'left' or 'right' the
+ * name and contact lines wrap in the room beside it, `gap` away; at the 'top'
+ * it sits above the name, aligned like it. Its top lines up with the top of
+ * the name's capitals.
+ *
+ * All lengths are in mm.
+ */
+
+import { pt } from './units.js';
+
+// Vector bullet outlines in unit coordinates (centre 0,0, radius 1), scaled by bullet.size
+export const BULLET_PATHS = {
+  // 4-pointed curvy diamond (like the ✦ character)
+  diamond: [
+    [0, -1], [0.3, -0.3], [1, 0], [0.3, 0.3],
+    [0, 1], [-0.3, 0.3], [-1, 0], [-0.3, -0.3],
+  ],
+  // Filled triangle pointing right
+  triangle: [[-1, -2 / 3], [1, 0], [-1, 2 / 3]],
+};
+
+export const BULLET_SHAPES = ['text', 'circle', 'square', 'path', ...Object.keys(BULLET_PATHS)];
+export const SECTION_HEADER_STYLES = ['plain', 'box', 'image'];
+export const TEXT_TRANSFORMS = ['none', 'uppercase', 'lowercase', 'capitalize'];
+export const PHOTO_SHAPES = ['circle', 'rounded', 'square'];
+export const PHOTO_POSITIONS = ['left', 'right', 'top'];
+
+/**
+ * Resolve a theme's decoration settings, filling in defaults
+ * Themes without decoration keys render exactly like the Modern theme.
+ * @param {Object} theme
+ * @returns {{ bullet: Object, header: Object, sectionHeader: Object }}
+ */
+export function resolveDecorations(theme) {
+  const bullet = {
+    shape: 'text',
+    glyph: theme.prefixes.bullet,
+    size: 0.75,
+    offset: 5,   // Bullet column, from the content left edge
+    rise: 1,     // Shape centre above the text baseline
+    indent: 10,  // Bullet text, from the content left edge
+    ...theme.bullet,
+  };
+
+  const header = {
+    align: 'left',
+    transform: 'none',
+    rule: null,
+    ...theme.header,
+  };
+  if (header.rule) {
+    header.rule = { thickness: 0.5, color: [0, 0, 0], gap: 4, ...header.rule };
+  }
+  header.photo = { size: 24, position: 'left', shape: 'circle', radius: 3, gap: 6, border: null, ...header.photo };
+  if (header.photo.border) {
+    header.photo.border = { width: 0.5, color: [0, 0, 0], ...header.photo.border };
+  }
+
+  const defaultStyle = theme.images && theme.images.sectionBar ? 'image' : 'plain';
+  const sectionHeader = {
+    style: defaultStyle,
+    transform: 'uppercase',
+    color: null, // Defaults to theme.colors.heading
+    ...theme.sectionHeader,
+  };
+  sectionHeader.box = {
+    fill: [230, 231, 235],
+    borderColor: [0, 0, 0],
+    borderWidth: 0.5,
+    padding: 1,
+    textOffset: 2,
+    ...(theme.sectionHeader && theme.sectionHeader.box),
+  };
+
+  if (!BULLET_SHAPES.includes(bullet.shape)) {
+    throw new Error(`Unknown bullet shape '${bullet.shape}' (expected ${BULLET_SHAPES.join(', ')})`);
+  }
+  if (!SECTION_HEADER_STYLES.includes(sectionHeader.style)) {
+    throw new Error(`Unknown section header style '${sectionHeader.style}' (expected ${SECTION_HEADER_STYLES.join(', ')})`);
+  }
+  if (!PHOTO_SHAPES.includes(header.photo.shape)) {
+    throw new Error(`Unknown header.photo.shape '${header.photo.shape}' (expected ${PHOTO_SHAPES.join(', ')})`);
+  }
+  if (!PHOTO_POSITIONS.includes(header.photo.position)) {
+    throw new Error(`Unknown header.photo.position '${header.photo.position}' (expected ${PHOTO_POSITIONS.join(', ')})`);
+  }
+
+  return { bullet, header, sectionHeader };
+}
+
+/**
+ * Apply a CSS-like text-transform
+ */
+export function applyTextTransform(text, transform) {
+  switch (transform) {
+    case 'uppercase':
+      return text.toUpperCase();
+    case 'lowercase':
+      return text.toLowerCase();
+    case 'capitalize':
+      return text.replace(/(^|\s)(\S)/g, (match, space, letter) => space + letter.toUpperCase());
+    default:
+      return text;
+  }
+}
+
+/**
+ * Vector bullet marker for a list item, as a layout shape
+ * @param {Object} bullet - Resolved bullet settings
+ * @param {number} x - Content left edge
+ * @param {number} y - Text baseline
+ * @param {number[]} color - RGB
+ * @returns {Object|null} Circle, rect or polygon shape; null for text bullets (drawn as a glyph)
+ */
+export function bulletMarkerShape(bullet, x, y, color) {
+  if (bullet.shape === 'text') return null;
+
+  const size = bullet.size;
+  const cx = x + bullet.offset + size;
+  const cy = y - bullet.rise;
+
+  if (bullet.shape === 'circle') {
+    return { type: 'circle', x: cx, y: cy, radius: size, color };
+  }
+  if (bullet.shape === 'square') {
+    return { type: 'rect', x: cx - size, y: cy - size, width: size * 2, height: size * 2, color };
+  }
+  const outline = bullet.shape === 'path' ? bullet.path : BULLET_PATHS[bullet.shape];
+  return { type: 'polygon', points: outline.map(([px, py]) => [cx + px * size, cy + py * size]), color };
+}
+
+/**
+ * Full-width grey bar with a left border behind a section title, as layout shapes
+ * @param {Object} box - Resolved sectionHeader.box settings
+ * @param {number} x - Content left edge
+ * @param {number} y - Title baseline
+ * @param {number} width - Content width
+ * @param {number} fontSize - Title font size in pt
+ * @returns {Object[]} Fill rect, then the border line when it has a width
+ */
+export function sectionBoxShapes(box, x, y, width, fontSize) {
+  const textHeight = pt(null, fontSize) * 0.7; // Cap height
+  const barY = y - textHeight - box.padding;
+  const barHeight = textHeight + box.padding * 2;
+
+  const shapes = [{ type: 'rect', x, y: barY, width, height: barHeight, color: box.fill }];
+  if (box.borderWidth > 0) {
+    shapes.push({ type: 'line', x1: x, y1: barY, x2: x, y2: barY + barHeight, lineWidth: box.borderWidth, color: box.borderColor });
+  }
+  return shapes;
+}
+
+/**
+ * Header photo as a layout shape: the image scaled to cover its frame and clipped to it
+ * @param {Object} photo - Resolved header.photo settings
+ * @param {string} src - Image key (asset path or data URI)
+ * @param {number} x - Frame left edge
+ * @param {number} y - Frame top edge
+ * @param {number} imageWidth - Natural width (any unit, only the aspect ratio counts)
+ * @param {number} imageHeight - Natural height
+ * @returns {Object} Image shape with `clip` (the frame and its corner radius) and `border` when the theme sets one
+ */
+export function photoShape(photo, src, x, y, imageWidth, imageHeight) {
+  const { size } = photo;
+  const scale = Math.max(size / imageWidth, size / imageHeight); // The short side fills the frame
+  const width = imageWidth * scale;
+  const height = imageHeight * scale;
+  const radius = { circle: size / 2, rounded: Math.min(photo.radius, size / 2), square: 0 }[photo.shape];
+
+  return {
+    type: 'image',
+    src,
+    x: x - (width - size) / 2,
+    y: y - (height - size) / 2,
+    width,
+    height,
+    clip: { x, y, width: size, height: size, radius },
+    ...(photo.border && photo.border.width > 0 ? { border: photo.border } : {}),
+  };
+}
@@ -0,0 +1,133 @@
+/**
+ * jsPDF++ - Drawing
+ *
+ * drawLayout() paints a layout tree (see layout.js) into a jsPDF document
+ * whose fonts are loaded: page by page, each block's shapes and then its
+ * lines, runs in the order the layout placed them.
+ */
+
+import { visualText } from './bidi.js';
+
+/**
+ * Helper: Fill a closed polygon given in absolute coordinates
+ */
+function fillPolygon(doc, points) {
+  const [x0, y0] = points[0];
+  const segments = points.slice(1).map(([px, py], i) => [px - points[i][0], py - points[i][1]]);
+  doc.lines(segments, x0, y0, [1, 1], 'F', true);
+}
+
+/**
+ * Helper: Rectangle path with rounded corners when it has a radius (style null leaves it open for clipping)
+ */
+function framePath(doc, { x, y, width, height, radius }, style) {
+  if (radius > 0) doc.roundedRect(x, y, width, height, radius, radius, style);
+  else doc.rect(x, y, width, height, style);
+}
+
+/**
+ * Helper: Draw an image, cropped to its clip frame and outlined inside it when the shape has them
+ */
+function drawImage(doc, shape, data) {
+  const format = data.startsWith('data:image/jpeg') ? 'JPEG' : 'PNG';
+  if (!shape.clip) {
+    doc.addImage(data, format, shape.x, shape.y, shape.width, shape.height);
+    return;
+  }
+
+  doc.saveGraphicsState();
+  framePath(doc, shape.clip, null);
+  doc.clip();
+  doc.discardPath();
+  doc.addImage(data, format, shape.x, shape.y, shape.width, shape.height);
+  doc.restoreGraphicsState();
+
+  if (shape.border) {
+    const { width, color } = shape.border;
+    const { x, y, width: frameWidth, height: frameHeight, radius } = shape.clip;
+    doc.setDrawColor(...color);
+    doc.setLineWidth(width);
+    framePath(doc, {
+      x: x + width / 2,
+      y: y + width / 2,
+      width: frameWidth - width,
+      height: frameHeight - width,
+      radius: Math.max(radius - width / 2, 0),
+    }, 'S');
+  }
+}
+
+function drawShape(doc, shape, images) {
+  switch (shape.type) {
+    case 'rect':
+      doc.setFillColor(...shape.color);
+      framePath(doc, shape, 'F');
+      break;
+    case 'line':
+      doc.setDrawColor(...shape.color);
+      doc.setLineWidth(shape.lineWidth);
+      doc.line(shape.x1, shape.y1, shape.x2, shape.y2);
+      break;
+    case 'circle':
+      doc.setFillColor(...shape.color);
+      doc.circle(shape.x, shape.y, shape.radius, 'F');
+      break;
+    case 'polygon':
+      doc.setFillColor(...shape.color);
+      fillPolygon(doc, shape.points);
+      break;
+    case 'image':
+      if (images[shape.src]) drawImage(doc, shape, images[shape.src]);
+      break;
+    default:
+      throw new Error(`Unknown shape type '${shape.type}' (expected rect, line, circle, polygon, image)`);
+  }
+}
+
+// Helper: Text and doc.text() options of a run
+// Right-to-left runs are shaped (Arabic letter forms) in logical order, then reversed here, so
+// jsPDF's own bidi pass is turned off for them
+function runText(doc, run) {
+  if (!run.rtl) return [run.text, {}];
+  const shaped = doc.processArabic ? doc.processArabic(run.text) : run.text;
+  return [visualText(shaped), { isInputVisual: false }];
+}
+
+function drawLine(doc, line, ghostMode) {
+  line.runs.forEach(run => {
+    if (run.ghost && ghostMode === 'off') return;
+
+    const [text, textOptions] = runText(doc, run);
+    doc.setFont(run.font.family, run.font.style);
+    doc.setFontSize(run.font.size);
+    if (run.ghost && ghostMode === 'invisible') {
+      doc.text(text, run.x, line.baseline, { ...textOptions, renderingMode: 'invisible' });
+      return;
+    }
+    doc.setTextColor(...run.color);
+    doc.text(text, run.x, line.baseline, textOptions);
+  });
+
+  // Clickable link annotations over the visible text
+  line.links.forEach(link => {
+    doc.link(link.x, link.y, link.width, link.height, { url: link.url });
+  });
+}
+
+/**
+ * Draw a layout tree into a jsPDF document
+ * @param {Object} doc - jsPDF instance with the layout's fonts loaded (one page, as created)
+ * @param {Object} tree - From layoutDocument() or layout()
+ * @param {Object} [images] - Asset path -> data URI for image shapes; shapes without one are skipped
+ */
+export function drawLayout(doc, tree, images = {}) {
+  tree.pages.forEach(page => {
+    if (page.number > doc.getNumberOfPages()) doc.addPage();
+    doc.setPage(page.number);
+
+    page.blocks.forEach(block => {
+      block.shapes.forEach(shape => drawShape(doc, shape, images));
+      block.lines.forEach(line => drawLine(doc, line, tree.ghostMode));
+    });
+  });
+}
@@ -0,0 +1,106 @@
+/**
+ * jsPDF++ - Fit to pages
+ *
+ * generatePDF's fitToPages option shrinks spacing and font sizes (and, if
+ * asked, the page margins) by one uniform scale until the resume fits:
+ *
+ *   fitToPages: 1,
+ *   fitToPages: { pages: 1, minFontSize: 7, margins: true },
+ *
+ * - pages: most pages the document may take
+ * - minFontSize: smallest font size (pt) any theme font may shrink to
+ * - margins: scale theme.margin too
+ * - maxScale: largest scale tried, 1 (the theme as designed) by default
+ *
+ * The largest scale that fits is found by bisection, laying the document out
+ * at each candidate and drawing only the one chosen. A document that doesn't
+ * fit even at the smallest scale is drawn at that scale and reported with
+ * `fits: false`.
+ */
+
+export const DEFAULT_FIT = {
+  pages: 1,
+  minFontSize: 6,
+  margins: false,
+  maxScale: 1,
+};
+
+// Scales closer together than this render the same for practical purposes
+const SCALE_PRECISION = 0.005;
+
+/**
+ * Resolve the fitToPages option
+ * @param {number|Object} [fitToPages] - Page count, or { pages, minFontSize, margins, maxScale }
+ * @returns {Object|null} Resolved settings, or null when fitting is off
+ */
+export function resolveFit(fitToPages) {
+  if (fitToPages == null || fitToPages === false) return null;
+
+  const fit = typeof fitToPages === 'number'
+    ? { ...DEFAULT_FIT, pages: fitToPages }
+    : { ...DEFAULT_FIT, ...fitToPages };
+
+  if (!Number.isInteger(fit.pages) || fit.pages < 1) {
+    throw new Error(`Invalid fitToPages.pages '${fit.pages}' (expected a whole number of pages, at least 1)`);
+  }
+  ['minFontSize', 'maxScale'].forEach(key => {
+    if (typeof fit[key] !== 'number' || !(fit[key] > 0)) {
+      throw new Error(`Invalid fitToPages.${key} '${fit[key]}' (expected a positive number)`);
+    }
+  });
+
+  return fit;
+}
+
+/**
+ * Scale a theme's spacing and font sizes, and optionally its margin
+ * Line heights are ratios and scale with the fonts.
+ * @param {Object} theme - Resolved theme
+ * @param {number} scale
+ * @param {Object} [options]
+ * @param {boolean} [options.margins=false] - Scale theme.margin too
+ * @returns {Object} A new theme
+ */
+export function scaleTheme(theme, scale, options = {}) {
+  const scaleValues = values => Object.fromEntries(Object.entries(values).map(([key, value]) => [key, value * scale]));
+
+  return {
+    ...theme,
+    margin: options.margins ? theme.margin * scale : theme.margin,
+    spacing: scaleValues(theme.spacing),
+    fonts: scaleValues(theme.fonts),
+  };
+}
+
+/**
+ * Find the largest scale at which a document fits its page budget
+ * @param {Object} theme - Resolved theme
+ * @param {Object} fit - From resolveFit()
+ * @param {Function} measure - (theme) => layout tree
+ * @returns {{ tree: Object, scale: number, pages: number, fits: boolean }}
+ */
+export function fitToPages(theme, fit, measure) {
+  const smallestFont = Math.min(...Object.values(theme.fonts));
+  const minScale = Math.min(fit.maxScale, fit.minFontSize / smallestFont);
+
+  function attempt(scale) {
+    const tree = measure(scaleTheme(theme, scale, fit));
+    const pages = tree.pages.length;
+    return { tree, scale, pages, fits: pages <= fit.pages };
+  }
+
+  const largest = attempt(fit.maxScale);
+  if (largest.fits || minScale >= fit.maxScale) return largest;
+
+  let best = attempt(minScale);
+  if (!best.fits) return best;
+
+  // best fits, anything at or above `over` doesn't
+  let over = fit.maxScale;
+  while (over - best.scale > SCALE_PRECISION) {
+    const candidate = attempt((best.scale + over) / 2);
+    if (candidate.fits) best = candidate;
+    else over = candidate.scale;
+  }
+  return best;
+}
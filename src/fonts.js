@@ -0,0 +1,252 @@
+/**
+ * jsPDF++ - Font registry
+ *
+ * A family maps weights (light, normal, medium, semibold, bold, italic) to TTF
+ * sources: asset paths resolved through the asset loader, or raw bytes.
+ * Themes pick a family and say which weight each text role uses:
+ *
+ *   fontFamily: 'Inter',
+ *   fontRoles: { name: 'semibold', heading: 'semibold', body: 'normal', meta: 'light' },
+ *
+ * Inline markdown uses the strong, emphasis and code roles.
+ *
+ * A role may also name another family: { family: 'JetBrainsMono', weight: 'normal' }.
+ * Only the faces a theme actually uses are embedded in the PDF.
+ *
+ * fontFallbacks lists families for characters a role's face has no glyph for
+ * (see glyphs.js):
+ *
+ *   fontFallbacks: ['NotoSans', 'NotoSansSC'],
+ */
+
+import { loadAsset, bytesToBase64, toBytes } from './assets.js';
+import { glyphCoverage, hasGlyph, STANDARD_COVERAGE } from './glyphs.js';
+
+export const FONT_WEIGHTS = ['light', 'normal', 'medium', 'semibold', 'bold', 'italic'];
+
+// Closest substitutes when a family doesn't ship the requested weight
+const WEIGHT_FALLBACKS = {
+  light: ['normal'],
+  normal: ['medium', 'light'],
+  medium: ['semibold', 'normal'],
+  semibold: ['bold', 'medium', 'normal'],
+  bold: ['semibold', 'medium', 'normal'],
+  italic: ['normal'],
+};
+
+// Roles used by the renderer, with the weights used when a theme doesn't declare them
+export const DEFAULT_FONT_ROLES = {
+  name: 'bold',        // Header name
+  heading: 'bold',     // Section titles and company names
+  body: 'normal',      // Summary and bullets
+  meta: 'normal',      // Contact line, role titles and periods
+  strong: 'bold',      // Inline **bold**
+  emphasis: 'italic',  // Inline *italic*
+  code: { family: 'JetBrainsMono', weight: 'normal' },  // Inline `code`
+};
+
+const registry = {};
+
+/**
+ * Register a TTF for one weight of a family
+ * @param {string} family - Family name used in themes (e.g. 'Inter')
+ * @param {string} weight - One of FONT_WEIGHTS
+ * @param {string|Uint8Array|ArrayBuffer} source - Asset path, data URI or font bytes
+ */
+export function registerFont(family, weight, source) {
+  if (!FONT_WEIGHTS.includes(weight)) {
+    throw new Error(`Unknown font weight '${weight}' (expected ${FONT_WEIGHTS.join(', ')})`);
+  }
+  registry[family] = { ...registry[family], [weight]: source };
+}
+
+/**
+ * Register several weights of a family at once
+ * @param {string} family
+ * @param {Object} faces - Map of weight -> source
+ */
+export function registerFontFamily(family, faces) {
+  Object.entries(faces).forEach(([weight, source]) => registerFont(family, weight, source));
+}
+
+/**
+ * List registered families and their weights
+ * @returns {Object} family -> weight[]
+ */
+export function getRegisteredFonts() {
+  return Object.fromEntries(
+    Object.entries(registry).map(([family, faces]) => [family, Object.keys(faces)])
+  );
+}
+
+// Fonts shipped in assets/fonts
+registerFontFamily('Inter', {
+  light: 'fonts/Inter-Light.ttf',
+  normal: 'fonts/Inter-Regular.ttf',
+  medium: 'fonts/Inter-Medium.ttf',
+  semibold: 'fonts/Inter-SemiBold.ttf',
+});
+registerFontFamily('JetBrainsMono', {
+  normal: 'fonts/JetBrainsMono-Regular.ttf',
+});
+
+/**
+ * Helper: Pick the closest weight a family actually has
+ */
+function closestWeight(faces, weight) {
+  if (faces[weight]) return weight;
+  const fallback = (WEIGHT_FALLBACKS[weight] || []).find(candidate => faces[candidate]);
+  return fallback || Object.keys(faces)[0];
+}
+
+/**
+ * Helper: Built-in PDF face used when a family can't be loaded
+ */
+function standardFace(weight) {
+  if (weight === 'italic') return { family: 'helvetica', style: 'italic', coverage: STANDARD_COVERAGE };
+  if (['medium', 'semibold', 'bold'].includes(weight)) return { family: 'helvetica', style: 'bold', coverage: STANDARD_COVERAGE };
+  return { family: 'helvetica', style: 'normal', coverage: STANDARD_COVERAGE };
+}
+
+/**
+ * Helper: Characters a TTF can draw, or null (trust it) when its cmap can't be read
+ */
+function readCoverage(family, style, bytes) {
+  try {
+    return glyphCoverage(bytes);
+  } catch (error) {
+    console.warn(`Can't read the glyphs of ${family} ${style}, assuming it has them all:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Resolve the family and weight each text role uses in a theme
+ * @param {Object} theme
+ * @returns {Object} role -> { family, weight }
+ */
+export function resolveFontRoles(theme) {
+  const family = theme.fontFamily || 'Inter';
+  const roles = { ...DEFAULT_FONT_ROLES, ...theme.fontRoles };
+
+  return Object.fromEntries(Object.entries(roles).map(([role, spec]) => {
+    if (typeof spec === 'string') return [role, { family, weight: spec }];
+    return [role, { family, weight: 'normal', ...spec }];
+  }));
+}
+
+// Helper: Registered families with the theme's fontFaces on top
+function themeFamilies(theme) {
+  const families = { ...registry };
+  Object.entries(theme.fontFaces || {}).forEach(([family, faces]) => {
+    families[family] = { ...families[family], ...faces };
+  });
+  return families;
+}
+
+/**
+ * Face each text role uses: its family at the closest weight the family has
+ * @param {Object} theme
+ * @returns {Object} role -> { family, weight, source, fallbacks }; source is null when the family
+ *          isn't registered (the PDF then uses Helvetica); fallbacks are the theme.fontFallbacks
+ *          faces at the role's weight, in order
+ */
+export function resolveRoleFaces(theme) {
+  const families = themeFamilies(theme);
+
+  function face(family, weight) {
+    const faces = families[family];
+    if (!faces || Object.keys(faces).length === 0) return { family, weight, source: null };
+    const style = closestWeight(faces, weight);
+    return { family, weight: style, source: faces[style] };
+  }
+
+  return Object.fromEntries(Object.entries(resolveFontRoles(theme)).map(([role, { family, weight }]) => {
+    const fallbacks = (theme.fontFallbacks || [])
+      .filter(name => name !== family)
+      .map(name => face(name, weight))
+      .filter(fallback => fallback.source);
+    return [role, { ...face(family, weight), fallbacks }];
+  }));
+}
+
+/**
+ * Embed the faces a theme uses into a jsPDF document, with their fallbacks
+ * Families declared in theme.fontFaces take precedence over the registry.
+ * @param {Object} doc - jsPDF instance
+ * @param {Object} theme
+ * @param {Function} assets - Asset loader
+ * @param {string[]} [roleNames] - Roles to embed (defaults to all)
+ * @param {string} [text] - Every character the document draws; fallbacks that add none of the glyphs
+ *                          a role's face lacks are left out (defaults to embedding the whole chain)
+ * @returns {Promise<Object>} role -> { family, style, coverage, fallbacks }; family and style are ready
+ *          for doc.setFont(), coverage is a Set of code points (null if unknown), fallbacks are faces
+ *          from theme.fontFallbacks in order
+ */
+export async function loadThemeFonts(doc, theme, assets, roleNames, text) {
+  const families = themeFamilies(theme);
+
+  const loaded = {};
+  const embedded = new Set();
+
+  // Font bytes and coverage, or Helvetica when the family can't be loaded
+  async function load(family, weight) {
+    const faces = families[family];
+    if (!faces || Object.keys(faces).length === 0) {
+      console.error(`Font family '${family}' is not registered, falling back to Helvetica`);
+      return standardFace(weight);
+    }
+
+    const style = closestWeight(faces, weight);
+    const key = `${family}/${style}`;
+    if (!loaded[key]) {
+      loaded[key] = (async () => {
+        const source = faces[style];
+        const bytes = typeof source === 'string' ? await loadAsset(assets, source) : toBytes(source);
+        if (!bytes) throw new Error(`Font not found: ${source}`);
+        return { family, style, bytes, coverage: readCoverage(family, style, bytes) };
+      })().catch(error => {
+        console.error(`Failed to load font ${family} ${style}, falling back to Helvetica:`, error);
+        return standardFace(weight);
+      });
+    }
+    return loaded[key];
+  }
+
+  // Add a loaded face to the document (once) and hand back what the layout needs
+  function embed({ family, style, bytes, coverage }) {
+    const key = `${family}/${style}`;
+    if (bytes && !embedded.has(key)) {
+      const vfsName = `${family}-${style}.ttf`;
+      doc.addFileToVFS(vfsName, bytesToBase64(bytes));
+      doc.addFont(vfsName, family, style);
+      embedded.add(key);
+    }
+    return { family, style, coverage };
+  }
+
+  const roles = resolveFontRoles(theme);
+  const chars = text == null ? null : [...new Set(text)];
+  const fonts = {};
+  for (const [role, { family, weight }] of Object.entries(roles)) {
+    if (roleNames && !roleNames.includes(role)) continue;
+    const face = embed(await load(family, weight));
+
+    // Walk the chain while characters are still missing
+    const fallbacks = [];
+    let needed = chars && chars.filter(char => !hasGlyph(face, char));
+    for (const fallback of (theme.fontFallbacks || []).filter(name => name !== family)) {
+      if (needed && needed.length === 0) break;
+      const candidate = await load(fallback, weight);
+      if (needed) {
+        const remaining = needed.filter(char => !hasGlyph(candidate, char));
+        if (remaining.length === needed.length) continue;
+        needed = remaining;
+      }
+      fallbacks.push(embed(candidate));
+    }
+
+    fonts[role] = { ...face, fallbacks };
+  }
+  return fonts;
+}
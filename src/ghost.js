@@ -0,0 +1,70 @@
+/**
+ * jsPDF++ - Ghost tag strategy
+ *
+ * Ghost tags are markdown markers drawn alongside the visible text so ATS
+ * parsers read the PDF as structured markdown. theme.ghostTags (or
+ * options.ghostTags, which wins) chooses how they are drawn and what they say:
+ *
+ *   ghostTags: {
+ *     mode: 'invisible',          // 'invisible' (PDF text render mode 3) | 'color' | 'off'
+ *     inline: true,               // Inline markdown markers (**, *, `, [](url))
+ *     tags: { bullet: '* ' },     // Document-wide vocabulary
+ *     sections: {                 // Per section id or type
+ *       experience: { heading: '### Company: ' },
+ *     },
+ *   }
+ *
+ * With the default vocabulary the extracted text is the markdown dialect
+ * fromMarkdown() reads (src/markdown.js).
+ *
+ * 'invisible' text is extracted like any other text but never painted, so it
+ * can't show through tinted boxes or PNG bars. 'color' paints the tags in the
+ * colour of whatever they sit on, which only works on flat backgrounds.
+ */
+
+export const GHOST_MODES = ['invisible', 'color', 'off'];
+
+export const DEFAULT_GHOST_TAGS = {
+  name: '# ',               // Header name
+  contact: '**Contact:** ', // Header contact line
+  title: '## ',             // Section title
+  heading: '### ',          // Entry heading (company, school, project...)
+  meta: '#### ',            // Meta line (role title, degree...)
+  right: ' \u2014 ',        // Before right-aligned text (period, date)
+  bullet: '- ',             // List item
+};
+
+/**
+ * Resolve the ghost tag strategy from the theme and generatePDF options
+ * @param {Object} theme
+ * @param {Object} [options] - generatePDF options
+ * @returns {{ mode: string, inline: boolean, tagsFor: Function }}
+ *          tagsFor(section) returns the vocabulary for one section
+ */
+export function resolveGhostTags(theme, options = {}) {
+  const settings = { mode: 'invisible', inline: true, ...theme.ghostTags, ...options.ghostTags };
+  const tags = { ...DEFAULT_GHOST_TAGS, ...settings.tags };
+  const sections = settings.sections || {};
+
+  if (!GHOST_MODES.includes(settings.mode)) {
+    throw new Error(`Unknown ghost tag mode '${settings.mode}' (expected ${GHOST_MODES.join(', ')})`);
+  }
+  [['tags', settings.tags || {}], ...Object.entries(sections).map(([key, overrides]) => [`sections.${key}`, overrides])]
+    .forEach(([path, vocabulary]) => {
+      Object.keys(vocabulary).forEach(tag => {
+        if (!(tag in DEFAULT_GHOST_TAGS)) {
+          throw new Error(`Unknown ghost tag '${tag}' in ghostTags.${path} (expected ${Object.keys(DEFAULT_GHOST_TAGS).join(', ')})`);
+        }
+      });
+    });
+
+  return {
+    mode: settings.mode,
+    inline: settings.mode !== 'off' && settings.inline !== false,
+    tagsFor(section) {
+      const byId = section && section.id != null ? sections[section.id] : null;
+      const byType = section ? sections[section.type] : null;
+      return { ...tags, ...byType, ...byId };
+    },
+  };
+}
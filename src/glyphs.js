@@ -0,0 +1,137 @@
+/**
+ * jsPDF++ - Glyph coverage
+ *
+ * jsPDF maps text to glyphs through a TTF's Unicode cmap (format 4, the Basic
+ * Multilingual Plane) and silently drops characters the font has no glyph
+ * for. glyphCoverage() reads that same table, so the layout can tell which
+ * characters a face can draw before it draws them:
+ *
+ *   fontFallbacks: ['NotoSans', 'NotoSansSC'],
+ *
+ * Text falls back per run: characters the role's face lacks are drawn in the
+ * first fallback family that has them, at the closest weight it ships.
+ * Characters no face has are reported (see layout.js missingGlyphs). Characters
+ * beyond U+FFFF, such as most emoji, can't be drawn by jsPDF and are always
+ * reported.
+ */
+
+// Windows-1252 characters outside Latin-1, which the built-in Helvetica can draw
+const WIN_ANSI_EXTRAS = [
+  0x0152, 0x0153, 0x0160, 0x0161, 0x0178, 0x017D, 0x017E, 0x0192, 0x02C6, 0x02DC,
+  0x2013, 0x2014, 0x2018, 0x2019, 0x201A, 0x201C, 0x201D, 0x201E, 0x2020, 0x2021,
+  0x2022, 0x2026, 0x2030, 0x2039, 0x203A, 0x20AC, 0x2122,
+];
+
+/**
+ * Characters the built-in PDF fonts (Helvetica) can draw
+ */
+export const STANDARD_COVERAGE = new Set([
+  ...Array.from({ length: 0x7F - 0x20 }, (_, i) => 0x20 + i),
+  ...Array.from({ length: 0x100 - 0xA0 }, (_, i) => 0xA0 + i),
+  ...WIN_ANSI_EXTRAS,
+]);
+
+// Helper: Four-character table tag at an offset
+function tagAt(view, offset) {
+  return String.fromCharCode(view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3));
+}
+
+/**
+ * Code points a TrueType font has glyphs for
+ * Reads the first Unicode format 4 subtable (platform 3 encoding 1, or platform 0), as jsPDF does.
+ * @param {Uint8Array} bytes - TTF file
+ * @returns {Set<number>}
+ */
+export function glyphCoverage(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const numTables = view.getUint16(4);
+
+  let cmap = null;
+  for (let i = 0; i < numTables; i++) {
+    const record = 12 + i * 16;
+    if (tagAt(view, record) === 'cmap') cmap = view.getUint32(record + 8);
+  }
+  if (cmap === null) throw new Error('Font has no cmap table');
+
+  let table = null;
+  const subtables = view.getUint16(cmap + 2);
+  for (let i = 0; i < subtables && table === null; i++) {
+    const record = cmap + 4 + i * 8;
+    const platform = view.getUint16(record);
+    const encoding = view.getUint16(record + 2);
+    const offset = cmap + view.getUint32(record + 4);
+    const isUnicode = (platform === 3 && encoding === 1) || platform === 0;
+    if (isUnicode && view.getUint16(offset) === 4) table = offset;
+  }
+  if (table === null) throw new Error('Font has no Unicode (format 4) cmap');
+
+  const coverage = new Set();
+  const segCountX2 = view.getUint16(table + 6);
+  const endCodes = table + 14;
+  const startCodes = endCodes + segCountX2 + 2;
+  const idDeltas = startCodes + segCountX2;
+  const idRangeOffsets = idDeltas + segCountX2;
+
+  for (let segment = 0; segment < segCountX2 / 2; segment++) {
+    const end = view.getUint16(endCodes + segment * 2);
+    const start = view.getUint16(startCodes + segment * 2);
+    const delta = view.getInt16(idDeltas + segment * 2);
+    const rangeAddress = idRangeOffsets + segment * 2;
+    const rangeOffset = view.getUint16(rangeAddress);
+
+    for (let code = start; code <= end && code !== 0xFFFF; code++) {
+      let glyph;
+      if (rangeOffset === 0) {
+        glyph = (code + delta) & 0xFFFF;
+      } else {
+        const index = view.getUint16(rangeAddress + rangeOffset + (code - start) * 2);
+        glyph = index === 0 ? 0 : (index + delta) & 0xFFFF;
+      }
+      if (glyph !== 0) coverage.add(code);
+    }
+  }
+
+  return coverage;
+}
+
+/**
+ * Whether a face can draw a character (faces without a known coverage are trusted)
+ * @param {Object} face - { coverage }
+ * @param {string} char - One character (code point)
+ * @returns {boolean}
+ */
+export function hasGlyph(face, char) {
+  return !face.coverage || face.coverage.has(char.codePointAt(0));
+}
+
+/**
+ * Split text into runs of one face: the given face where it has the glyph,
+ * otherwise the first fallback that does. Whitespace stays in the run before
+ * it when that face has it, so words in a fallback face aren't split apart.
+ * @param {string} text
+ * @param {Object} face - { coverage, fallbacks: [{ coverage }] }
+ * @param {Function} [onMissing] - Called with each character no face can draw (it stays in `face`)
+ * @returns {Array<{ text: string, face: Object }>}
+ */
+export function splitByCoverage(text, face, onMissing) {
+  const parts = [];
+
+  for (const char of text) {
+    const last = parts[parts.length - 1];
+    let chosen = face;
+    if (last && /\s/.test(char) && hasGlyph(last.face, char)) {
+      chosen = last.face;
+    } else if (!hasGlyph(face, char)) {
+      chosen = (face.fallbacks || []).find(fallback => hasGlyph(fallback, char));
+      if (!chosen) {
+        chosen = face;
+        if (onMissing) onMissing(char);
+      }
+    }
+
+    if (last && last.face === chosen) last.text += char;
+    else parts.push({ text: char, face: chosen });
+  }
+
+  return parts;
+}
@@ -0,0 +1,643 @@
+/**
+ * jsPDF++ - HTML preview
+ *
+ * renderHTML() turns the theme and formData generatePDF draws into an HTML
+ * fragment and its stylesheet, so an on-screen preview matches the PDF by
+ * construction instead of by hand-kept CSS:
+ *
+ *   const { html, css } = renderHTML(modernTheme, data);
+ *   style.textContent = css;
+ *   preview.innerHTML = html;
+ *
+ * The theme's numbers become CSS custom properties in their source units
+ * (spacing in px, font sizes in pt, margins and decorations in mm) and the
+ * rules apply the PDF's formulas to them: a line advances by its font size,
+ * wrapped text by font size x line height, and every baseline sits where the
+ * PDF draws it. Prefixes, bullets, section boxes and bars, header rules and
+ * photos, skill ratings and column layouts come from the same theme keys.
+ *
+ * The preview is one continuous page. Page breaks, running headers and footers
+ * and ghost tags are PDF-only; the HTML uses h1-h3 and lists instead. Right-
+ * to-left documents get dir="rtl" and the PDF's mirrored layout; the browser
+ * does the bidi reordering. theme.text alignment, hyphenation and word
+ * breaking map to their CSS equivalents, so lines break close to, but not
+ * always exactly where, the PDF breaks them.
+ */
+
+import { parseInline } from './inline.js';
+import { isEntrySection, sectionEntries, sectionBullets, formatContact } from './sections.js';
+import { resolveDecorations, BULLET_PATHS } from './decorations.js';
+import { resolveColumns, assignSections } from './columns.js';
+import { resolveRoleFaces } from './fonts.js';
+import { createAssetUrlResolver, bytesToBase64, toBytes, imageType } from './assets.js';
+import { resolvePageSize } from './page.js';
+import { VALIDATION_MODES, checkFormData, checkTheme } from './validation.js';
+import { resolveDirection } from './bidi.js';
+import { resolveTextStyle } from './paragraph.js';
+import { resolveSkills, skillGroups, skillFraction, skillLabel } from './skills.js';
+
+// Baseline below the top of a line-height: 1 box, in em (Inter and JetBrains Mono)
+const BASELINE = 0.86;
+
+// Cap height in em, as the PDF renderer measures it for section boxes and bars
+const CAP_HEIGHT = 0.7;
+
+const CSS_WEIGHTS = { light: 300, normal: 400, medium: 500, semibold: 600, bold: 700, italic: 400 };
+
+// Helper: Escape text for HTML content and attributes
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Helper: "h2MarginTop" -> "h2-margin-top"
+function kebab(key) {
+  return key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+// Helper: Round lengths so the stylesheet stays readable
+function num(value) {
+  return Number(value.toFixed(4));
+}
+
+function rgb(color) {
+  return `rgb(${color.join(', ')})`;
+}
+
+/**
+ * Helper: Inline markdown as HTML (strong, em, code and links)
+ */
+function inlineHtml(text) {
+  // Consecutive runs of one link share an anchor
+  const groups = [];
+  parseInline(text).forEach(run => {
+    const last = groups[groups.length - 1];
+    if (last && run.url && last.url === run.url) last.runs.push(run);
+    else groups.push({ url: run.url, runs: [run] });
+  });
+
+  return groups.map(({ url, runs }) => {
+    const html = runs.map(run => {
+      let part = escapeHtml(run.text);
+      if (run.code) part = `<code>${part}</code>`;
+      if (run.bold) part = `<strong>${part}</strong>`;
+      if (run.italic) part = `<em>${part}</em>`;
+      return part;
+    }).join('');
+    return url ? `<a href="${escapeHtml(url)}">${html}</a>` : html;
+  }).join('');
+}
+
+/**
+ * Render a resume as HTML and CSS with the same theme numbers as the PDF
+ * @param {Object} themeInput - Theme object (see THEME_SCHEMA)
+ * @param {Object} data - Form data with sections array (see RESUME_SCHEMA)
+ * @param {Object} [options]
+ * @param {string} [options.className='resume'] - Class of the root element; other classes and custom properties use it as a prefix
+ * @param {Function} [options.assetUrl] - (path) => URL for fonts and images (defaults to createFetchLoader()'s layout)
+ * @param {string|number[]} [options.format] - Page format, as in generatePDF
+ * @param {number} [options.width] - Custom page width in mm (with options.height)
+ * @param {number} [options.height] - Custom page height in mm (with options.width)
+ * @param {string} [options.orientation] - 'portrait' | 'landscape'
+ * @param {string} [options.direction] - 'ltr' | 'rtl', as in generatePDF
+ * @param {string} [options.validate='lenient'] - 'lenient' | 'strict' | 'off', as in generatePDF
+ * @param {boolean} [options.photo] - false leaves the header photo out, as in generatePDF
+ * @returns {{ html: string, css: string }}
+ */
+export function renderHTML(themeInput, data, options = {}) {
+  const { className = 'resume', validate = 'lenient' } = options;
+  if (!VALIDATION_MODES.includes(validate)) {
+    throw new Error(`Unknown validation mode '${validate}' (expected ${VALIDATION_MODES.join(', ')})`);
+  }
+  const theme = checkTheme(themeInput, validate);
+  const formData = checkFormData(data, validate);
+
+  const assetUrl = options.assetUrl || createAssetUrlResolver();
+  const pageSize = resolvePageSize(theme, options);
+  const decorations = resolveDecorations(theme);
+  const direction = resolveDirection(formData, options);
+  const textStyle = resolveTextStyle(theme, formData);
+  const skills = resolveSkills(theme);
+  const columns = resolveColumns(theme, pageSize, direction);
+  const faces = resolveRoleFaces(theme);
+  const contactStyle = { separator: ' | ', wrap: true, lineHeight: theme.lineHeights.body, ...theme.contact };
+
+  const cls = name => (name ? `${className}-${name}` : className);
+  const v = name => `var(--${className}-${name})`;
+
+  // Physical side of a theme's 'left' or 'right': mirrored in right-to-left documents
+  const side = name => (direction === 'rtl' ? { left: 'right', right: 'left' }[name] || name : name);
+
+  // Helper: Asset path, data URI or font bytes as a URL
+  function url(source) {
+    if (typeof source === 'string') return assetUrl(source);
+    return `data:font/ttf;base64,${bytesToBase64(toBytes(source))}`;
+  }
+
+  // === HTML ===
+
+  function prefix(text) {
+    return text ? `<span class="${cls('prefix')}">${escapeHtml(text)}</span>` : '';
+  }
+
+  function right(text) {
+    return text ? `<span class="${cls('right')}">${escapeHtml(text)}</span>` : '';
+  }
+
+  function marker() {
+    const { bullet } = decorations;
+    if (bullet.shape === 'text') {
+      return `<span class="${cls('marker')}" aria-hidden="true">${escapeHtml(bullet.glyph)}</span>`;
+    }
+    if (bullet.shape === 'circle' || bullet.shape === 'square') {
+      return `<span class="${cls('marker')}" aria-hidden="true"></span>`;
+    }
+    const outline = bullet.shape === 'path' ? bullet.path : BULLET_PATHS[bullet.shape];
+    const points = outline.map(([x, y]) => `${num(x)},${num(y)}`).join(' ');
+    return `<span class="${cls('marker')}" aria-hidden="true"><svg viewBox="-1 -1 2 2"><polygon points="${points}"/></svg></span>`;
+  }
+
+  function bulletList(bullets) {
+    if (bullets.length === 0) return '';
+    const items = bullets.map(bullet => `<li>${marker()}${inlineHtml(bullet)}</li>`).join('');
+    return `<ul class="${cls('bullets')}">${items}</ul>`;
+  }
+
+  // Header photo, or '' when it's left out (or isn't a PNG or JPEG)
+  let photoShown = false;
+  function photoHtml(photo) {
+    if (!photo || options.photo === false) return '';
+    let src = typeof photo === 'string' ? assetUrl(photo) : null;
+    if (!src) {
+      const bytes = toBytes(photo);
+      const type = imageType(bytes);
+      if (!type) return '';
+      src = `data:image/${type};base64,${bytesToBase64(bytes)}`;
+    }
+    photoShown = true;
+    return `<img class="${cls('photo')}" src="${escapeHtml(src)}" alt="">`;
+  }
+
+  function title(text) {
+    return `<h2 class="${cls('title')}">${prefix(theme.prefixes.h2)}<span class="${cls('title-text')}">${escapeHtml(text)}</span></h2>`;
+  }
+
+  function heading(text, rightText) {
+    return `<h3 class="${cls('heading')}">${prefix(theme.prefixes.h3)}<span class="${cls('heading-text')}">${escapeHtml(text)}</span>${right(rightText)}</h3>`;
+  }
+
+  // Dots or bar of a skill rating, '' for items without a level
+  function rating(item) {
+    const fraction = skillFraction(item);
+    if (fraction === null || skills.style === 'tags') return '';
+    const label = skillLabel(item, skills.levels);
+    const a11y = label ? `role="img" aria-label="${escapeHtml(label)}"` : 'aria-hidden="true"';
+
+    let marks;
+    if (skills.style === 'dots') {
+      const filled = Math.round(fraction * skills.dots);
+      marks = Array.from({ length: skills.dots }, (unused, i) => `<span class="${cls(i < filled ? 'dot-on' : 'dot')}"></span>`).join('');
+    } else {
+      const width = Math.max(skills.barWidth * fraction, skills.barHeight);
+      marks = fraction > 0 ? `<span class="${cls('bar-fill')}" style="width: ${num(width)}mm"></span>` : '';
+    }
+    return `<span class="${cls('rating')}" ${a11y}>${marks}</span>`;
+  }
+
+  let skillsShown = false;
+  function skillList(items) {
+    skillsShown = true;
+    return `<ul class="${cls('skills')}">${items.map(item => `<li>${escapeHtml(item.name)}${rating(item)}</li>`).join('')}</ul>`;
+  }
+
+  function renderSection(section) {
+    const id = section.id != null ? ` data-id="${escapeHtml(section.id)}"` : '';
+
+    if (section.type === 'header') {
+      const { name, contact } = section.content;
+      let html = `<h1 class="${cls('name')}">${prefix(theme.prefixes.h1)}${escapeHtml(name)}</h1>`;
+      if (contact && contact.length > 0) {
+        html += `<p class="${cls('contact')}">${prefix(theme.prefixes.subHeader)}${inlineHtml(formatContact(contact, contactStyle.separator))}</p>`;
+        if (theme.images) html += `<div class="${cls('header-bar')}"></div>`;
+      }
+      const photo = photoHtml(section.content.photo);
+      if (photo && decorations.header.photo.position === 'top') {
+        html = photo + html;
+      } else if (photo) {
+        html = `<div class="${cls('header-main')}">${photo}<div class="${cls('header-text')}">${html}</div></div>`;
+      }
+      if (decorations.header.rule) html += `<hr class="${cls('rule')}">`;
+      return `<header class="${cls('header')}"${id}>${html}</header>`;
+    }
+
+    if (section.type === 'summary') {
+      return `<p class="${cls('summary')}"${id}>${inlineHtml(section.content.text)}</p>`;
+    }
+
+    if (section.type === 'section' || section.type === 'languages') {
+      return `<section class="${cls('section')}"${id}>${title(section.title)}${bulletList(sectionBullets(section))}</section>`;
+    }
+
+    if (isEntrySection(section.type)) {
+      const entries = sectionEntries(section).map(entry => {
+        const entryHeading = entry.heading ? heading(entry.heading, entry.headingRight) : '';
+        const groups = entry.groups.map(group => {
+          const meta = group.meta || group.metaRight
+            ? `<p class="${cls('meta')}">${prefix(theme.prefixes.jobMeta)}<span class="${cls('meta-text')}">${escapeHtml(group.meta || '')}</span>${right(group.metaRight)}</p>`
+            : '';
+          return `<div class="${cls('group')}">${meta}${bulletList(group.bullets)}</div>`;
+        }).join('');
+        return `<div class="${cls('entry')}">${entryHeading}${groups}</div>`;
+      }).join('');
+      return `<section class="${cls('section')}"${id}>${title(section.title)}${entries}</section>`;
+    }
+
+    if (section.type === 'skills') {
+      const groups = skillGroups(section).map(group => (group.category
+        ? `<div class="${cls('group')}">${heading(group.category)}${skillList(group.items)}</div>`
+        : skillList(group.items)));
+      return `<section class="${cls('section')}"${id}>${title(section.title)}${groups.join('')}</section>`;
+    }
+
+    return '';
+  }
+
+  const flows = assignSections(columns, formData.sections).map(({ column, sections }) => {
+    const index = columns.indexOf(column) + 1;
+    return `<div class="${cls('column')}" data-column="${escapeHtml(column.id)}" style="grid-column: ${index}">${sections.map(renderSection).join('')}</div>`;
+  });
+  const dir = direction === 'rtl' ? ' dir="rtl"' : '';
+  const lang = textStyle.language ? ` lang="${escapeHtml(textStyle.language)}"` : ''; // Browsers only hyphenate a known language
+  const html = `<div class="${cls()}"${dir}${lang}>${flows.join('')}</div>`;
+
+  // === CSS ===
+
+  const variables = [
+    [`margin`, `${theme.margin}mm`],
+    ...Object.entries(theme.spacing).map(([key, value]) => [`spacing-${kebab(key)}`, `${value}px`]),
+    ...Object.entries(theme.fonts).map(([key, value]) => [`font-${kebab(key)}`, `${value}pt`]),
+    ...Object.entries(theme.lineHeights).map(([key, value]) => [`line-height-${kebab(key)}`, String(value)]),
+    ...Object.entries(theme.colors).map(([key, value]) => [`color-${kebab(key)}`, rgb(value)]),
+  ];
+
+  // Font declarations of a text role: the face the PDF embeds, or its Helvetica fallback
+  function font(role) {
+    const face = faces[role];
+    if (!face.source) {
+      const bold = ['medium', 'semibold', 'bold'].includes(face.weight);
+      return {
+        'font-family': ['Helvetica', 'Arial', ...face.fallbacks.map(({ family }) => `'${family}'`), 'sans-serif'].join(', '),
+        'font-weight': bold ? 700 : 400,
+        'font-style': face.weight === 'italic' ? 'italic' : 'normal',
+      };
+    }
+    return {
+      'font-family': [face, ...face.fallbacks].map(({ family }) => `'${family}'`).join(', '),
+      'font-weight': CSS_WEIGHTS[face.weight],
+      'font-style': face.weight === 'italic' ? 'italic' : 'normal',
+    };
+  }
+
+  // Lift a text block so its first baseline sits at the top of its box, where the PDF's y is
+  function baseline(lineHeightValue) {
+    const top = typeof lineHeightValue === 'number'
+      ? `${-num((lineHeightValue - 1) / 2 + BASELINE)}em`
+      : `calc(-1em * (${lineHeightValue} - 1) / 2 - ${BASELINE}em)`;
+    return { position: 'relative', top };
+  }
+
+  // Page background, with tinted columns reaching the page edge and the middle of the gap
+  const tinted = columns.filter(column => column.background).sort((a, b) => a.fillLeft - b.fillLeft);
+  const background = tinted.length === 0 ? v('color-bg') : `linear-gradient(to right, ${tinted.flatMap(column => [
+    `${v('color-bg')} ${num(column.fillLeft)}mm`,
+    `${rgb(column.background)} ${num(column.fillLeft)}mm`,
+    `${rgb(column.background)} ${num(column.fillRight)}mm`,
+    `${v('color-bg')} ${num(column.fillRight)}mm`,
+  ]).join(', ')})`;
+  const gap = columns.length > 1 ? Math.max(columns[1].left - columns[0].right, columns[0].left - columns[1].right) : 0;
+
+  const prefixAccent = theme.colors.prefixGreen ? v('color-prefix-green') : v('color-heading');
+  const prefixMuted = theme.colors.prefixGray ? v('color-prefix-gray') : v('color-role');
+  const bullet = decorations.bullet;
+  const bulletColor = bullet.color ? rgb(bullet.color)
+    : [['bulletColor', 'bullet-color'], ['prefixGreen', 'prefix-green']]
+      .filter(([key]) => theme.colors[key]).map(([, name]) => v(`color-${name}`))[0] || v('color-text');
+  const { header, sectionHeader } = decorations;
+  const box = sectionHeader.box;
+  const contactLead = contactStyle.lineHeight;
+
+  const rules = [
+    ...uniqueFaces(faces).map(face => ['@font-face', {
+      'font-family': `'${face.family}'`,
+      'font-weight': CSS_WEIGHTS[face.weight],
+      'font-style': face.weight === 'italic' ? 'italic' : 'normal',
+      src: `url("${url(face.source)}") format("truetype")`,
+    }]),
+
+    [`.${cls()}`, {
+      ...Object.fromEntries(variables.map(([name, value]) => [`--${className}-${name}`, value])),
+      display: 'grid',
+      'grid-template-columns': columns.map(column => `${num(column.right - column.left)}mm`).join(' '),
+      'column-gap': `${num(gap)}mm`,
+      'align-items': 'start',
+      'box-sizing': 'border-box',
+      width: `${num(pageSize.width)}mm`,
+      'min-height': `${num(pageSize.height)}mm`,
+      padding: v('margin'),
+      background,
+      color: v('color-text'),
+      ...font('body'),
+    }],
+    [`.${cls()} *`, { 'box-sizing': 'border-box', margin: 0, padding: 0 }],
+
+    // Flex columns keep vertical margins from collapsing: the PDF adds them all up
+    [[cls('column'), cls('header'), cls('section'), cls('entry'), cls('group'), cls('bullets')].map(name => `.${name}`).join(', '), {
+      display: 'flex',
+      'flex-direction': 'column',
+      'min-width': 0,
+    }],
+
+    [`.${cls('prefix')}`, { 'white-space': 'pre' }],
+
+    [`.${cls('name')}`, {
+      ...font('name'),
+      ...baseline(1),
+      'font-size': v('font-h1'),
+      'line-height': 1,
+      color: v('color-name'),
+      'text-align': side(header.align),
+      'text-transform': header.transform,
+      'margin-bottom': v('spacing-h1-margin-bottom'),
+    }],
+    [`.${cls('name')} .${cls('prefix')}`, { 'font-size': '10pt', color: prefixAccent, 'text-transform': 'none' }],
+
+    // First line advances by the font size, wrapped lines by the contact line height
+    [`.${cls('contact')}`, {
+      ...font('meta'),
+      ...baseline(contactLead),
+      'font-size': v('font-sub-header'),
+      'line-height': contactLead,
+      color: v('color-role'),
+      'white-space': contactStyle.wrap ? 'normal' : 'nowrap',
+      'margin-bottom': theme.images
+        ? `calc(-1em * (${contactLead} - 1))`
+        : `calc(${v('spacing-sub-header-margin-bottom')} - 1em * (${contactLead} - 1))`,
+    }],
+    [`.${cls('contact')} .${cls('prefix')}`, { color: prefixAccent }],
+
+    [`.${cls('summary')}`, {
+      ...baseline(v('line-height-body')),
+      'font-size': v('font-body'),
+      'line-height': v('line-height-body'),
+      'margin-bottom': v('spacing-h2-margin-top'),
+    }],
+
+    [`.${cls('title')}`, {
+      ...font('heading'),
+      ...baseline(1),
+      'z-index': 0,
+      'font-size': v('font-h2'),
+      'line-height': 1,
+      color: sectionHeader.color ? rgb(sectionHeader.color) : v('color-heading'),
+      'margin-top': v('spacing-h2-margin-top'),
+      'margin-bottom': v('spacing-h2-margin-bottom'),
+    }],
+    [`.${cls('title-text')}`, { 'text-transform': sectionHeader.transform }],
+    [`.${cls('title')} .${cls('prefix')}`, { color: prefixAccent }],
+
+    [`.${cls('heading')}, .${cls('meta')}`, {
+      display: 'flex',
+      'align-items': 'baseline',
+      'line-height': 1,
+      'margin-bottom': v('spacing-job-header-margin-bottom'),
+      ...baseline(1),
+    }],
+    [`.${cls('heading')}`, {
+      ...font('heading'),
+      'font-size': v('font-h3'),
+      color: v('color-text'),
+      'margin-top': v('spacing-h3-margin-top'),
+    }],
+    [`.${cls('meta')}`, { ...font('meta'), 'font-size': v('font-sub-header'), color: v('color-role') }],
+    [`.${cls('heading')} .${cls('prefix')}, .${cls('meta')} .${cls('prefix')}`, { color: prefixMuted }],
+    [`.${cls('right')}`, {
+      ...font('meta'),
+      [`margin-${side('left')}`]: 'auto',
+      [`padding-${side('left')}`]: '1em',
+      'font-size': v('font-sub-header'),
+      color: v('color-role'),
+      'white-space': 'nowrap',
+    }],
+
+    [`.${cls('group')}`, { 'margin-bottom': v('spacing-ul-margin-bottom') }],
+    [`.${cls('entry')}`, { 'margin-bottom': `calc(${v('spacing-section-margin-bottom')} / 2)` }],
+
+    [`.${cls('bullets')}`, { 'list-style': 'none' }],
+    [`.${cls('bullets')} li`, {
+      ...baseline(v('line-height-li')),
+      'font-size': v('font-li'),
+      'line-height': v('line-height-li'),
+      [`padding-${side('left')}`]: `${bullet.indent}mm`,
+      'margin-bottom': v('spacing-li-margin-bottom'),
+    }],
+    [`.${cls('marker')}`, markerStyle(bullet, bulletColor, v('line-height-li'), side('left'))],
+    [`.${cls('marker')} svg`, {
+      display: 'block',
+      width: '100%',
+      height: '100%',
+      overflow: 'visible',
+      fill: 'currentColor',
+      ...(direction === 'rtl' ? { transform: 'scaleX(-1)' } : {}),
+    }],
+
+    [`.${cls()} strong`, font('strong')],
+    [`.${cls()} em`, font('emphasis')],
+    [`.${cls()} code`, { ...font('code'), 'font-size': 'inherit' }],
+    [`.${cls()} a`, { color: theme.colors.link ? v('color-link') : 'inherit', 'text-decoration': 'none' }],
+  ];
+
+  // Summary and bullet paragraphs (theme.text)
+  const paragraph = {
+    ...(textStyle.align !== 'left' ? { 'text-align': textStyle.align } : {}),
+    ...(textStyle.hyphenate ? { hyphens: 'auto', 'hyphenate-limit-chars': `${textStyle.minWordLength} auto auto` } : {}),
+    ...(textStyle.breakWords ? { 'overflow-wrap': 'anywhere' } : {}),
+  };
+  if (Object.keys(paragraph).length > 0) rules.push([`.${cls('summary')}, .${cls('bullets')} li`, paragraph]);
+  if (textStyle.hyphenate) rules.push([`.${cls()} code, .${cls()} a`, { hyphens: 'manual' }]);
+
+  // Section boxes and bars hang off the title baseline like the PDF's
+  if (sectionHeader.style === 'box') {
+    rules.push([`.${cls('title-text')}`, { [`margin-${side('left')}`]: `${box.textOffset}mm` }]);
+    rules.push([`.${cls('title')}::before`, {
+      content: '""',
+      position: 'absolute',
+      'z-index': -1,
+      left: 0,
+      right: 0,
+      top: `calc(${num(BASELINE - CAP_HEIGHT)}em - ${box.padding}mm)`,
+      height: `calc(${CAP_HEIGHT}em + ${box.padding * 2}mm)`,
+      background: rgb(box.fill),
+      [`border-${side('left')}`]: box.borderWidth > 0 ? `${box.borderWidth}mm solid ${rgb(box.borderColor)}` : 'none',
+    }]);
+  } else if (sectionHeader.style === 'image' && theme.images) {
+    rules.push([`.${cls('title')}::before`, {
+      content: '""',
+      position: 'absolute',
+      [side('left')]: `${theme.images.sectionBarOffset}mm`,
+      top: `calc(${num(BASELINE - CAP_HEIGHT / 2)}em - ${theme.images.sectionBarHeight / 2}mm)`,
+      width: `${theme.images.sectionBarWidth}mm`,
+      height: `${theme.images.sectionBarHeight}mm`,
+      background: `url("${url(theme.images.sectionBar)}") center / 100% 100% no-repeat`,
+    }]);
+  }
+
+  if (theme.images) {
+    rules.push([`.${cls('header-bar')}`, {
+      height: `${theme.images.headerBarHeight}mm`,
+      'margin-bottom': `calc(2mm + ${v('spacing-sub-header-margin-bottom')})`,
+      background: `url("${url(theme.images.headerBar)}") center / 100% 100% no-repeat`,
+    }]);
+  }
+
+  // Header photo, its top level with the top of the name's capitals; the PDF outlines it inside its frame
+  if (photoShown) {
+    const { photo } = header;
+    const capHeight = `${CAP_HEIGHT} * ${v('font-h1')}`;
+    rules.push([`.${cls('photo')}`, {
+      display: 'block',
+      flex: 'none',
+      width: `${photo.size}mm`,
+      height: `${photo.size}mm`,
+      'object-fit': 'cover',
+      'border-radius': { circle: '50%', rounded: `${num(Math.min(photo.radius, photo.size / 2))}mm`, square: 0 }[photo.shape],
+      'margin-top': `calc(-1 * ${capHeight})`,
+      ...(photo.position === 'top'
+        ? {
+          'align-self': { left: 'flex-start', center: 'center', right: 'flex-end' }[header.align],
+          'margin-bottom': `calc(${photo.gap}mm + ${capHeight})`,
+        }
+        : { 'margin-bottom': v('spacing-sub-header-margin-bottom') }),
+      ...(photo.border && photo.border.width > 0
+        ? { outline: `${photo.border.width}mm solid ${rgb(photo.border.color)}`, 'outline-offset': `${-photo.border.width}mm` }
+        : {}),
+    }]);
+    if (photo.position !== 'top') {
+      // 'row' starts at the start side, so 'left' is mirrored in right-to-left documents like the PDF's
+      rules.push([`.${cls('header-main')}`, {
+        display: 'flex',
+        'flex-direction': photo.position === 'left' ? 'row' : 'row-reverse',
+        'align-items': 'flex-start',
+        'column-gap': `${photo.gap}mm`,
+      }]);
+      rules.push([`.${cls('header-text')}`, { display: 'flex', 'flex-direction': 'column', flex: 1, 'min-width': 0 }]);
+    }
+  }
+
+  // Skill ratings centre on the names' capitals like the PDF's; tags are pills centred the same way
+  if (skillsShown && skills.style === 'tags') {
+    const padding = skills.tagPadding;
+    rules.push([`.${cls('skills')}`, {
+      display: 'flex',
+      'flex-wrap': 'wrap',
+      gap: `${skills.tagGap}mm`,
+      position: 'relative',
+      top: `${-num(0.5 + CAP_HEIGHT / 2)}em`,
+      'list-style': 'none',
+      'font-size': v('font-li'),
+      'line-height': 1,
+      'margin-bottom': `${num(skills.tagGap + padding / 2)}mm`,
+    }]);
+    rules.push([`.${cls('skills')} li`, {
+      padding: `${num(padding / 2)}mm ${padding}mm`,
+      'border-radius': `calc(0.5em + ${num(padding / 2)}mm)`,
+      background: rgb(skills.trackColor),
+      'white-space': 'nowrap',
+    }]);
+  } else if (skillsShown) {
+    const { style, dotSize, barWidth, barHeight } = skills;
+    const height = style === 'dots' ? dotSize * 2 : barHeight;
+    rules.push([`.${cls('skills')}`, {
+      display: 'grid',
+      'grid-template-columns': `repeat(${skills.columns}, minmax(0, 1fr))`,
+      'column-gap': `${skills.columnGap}mm`,
+      'list-style': 'none',
+    }]);
+    rules.push([`.${cls('skills')} li`, {
+      ...baseline(v('line-height-li')),
+      'font-size': v('font-li'),
+      'line-height': v('line-height-li'),
+      'margin-bottom': v('spacing-li-margin-bottom'),
+    }]);
+    rules.push([`.${cls('rating')}`, {
+      position: 'absolute',
+      [side('right')]: 0,
+      top: `calc(1em * (${v('line-height-li')} - 1) / 2 + ${num(BASELINE - CAP_HEIGHT / 2)}em - ${num(height / 2)}mm)`,
+      display: 'flex',
+      ...(style === 'bars'
+        ? { width: `${barWidth}mm`, height: `${barHeight}mm`, 'border-radius': `${num(barHeight / 2)}mm`, background: rgb(skills.trackColor) }
+        : { 'column-gap': `${dotSize}mm` }), // Dots 3 radii apart
+    }]);
+    if (style === 'dots') {
+      rules.push([`.${cls('dot')}, .${cls('dot-on')}`, {
+        width: `${num(dotSize * 2)}mm`,
+        height: `${num(dotSize * 2)}mm`,
+        'border-radius': '50%',
+        background: rgb(skills.trackColor),
+      }]);
+      rules.push([`.${cls('dot-on')}`, { background: rgb(skills.color) }]);
+    } else {
+      rules.push([`.${cls('bar-fill')}`, { 'border-radius': 'inherit', background: rgb(skills.color) }]);
+    }
+  }
+
+  // The PDF strokes the rule centred on the line; the border starts there instead
+  if (header.rule) {
+    const { thickness, color, gap: ruleGap } = header.rule;
+    rules.push([`.${cls('rule')}`, {
+      border: 'none',
+      'border-top': `${thickness}mm solid ${rgb(color)}`,
+      'margin-top': `${num(-thickness / 2)}mm`,
+      'margin-bottom': `${num(ruleGap - thickness / 2)}mm`,
+    }]);
+  }
+
+  const css = rules.map(([selector, declarations]) => {
+    const body = Object.entries(declarations).map(([property, value]) => `  ${property}: ${value};`).join('\n');
+    return `${selector} {\n${body}\n}`;
+  }).join('\n\n');
+
+  return { html, css: `${css}\n` };
+}
+
+// Helper: One @font-face per embedded family and weight, fallbacks included
+function uniqueFaces(faces) {
+  const seen = new Map();
+  Object.values(faces).forEach(face => {
+    [face, ...face.fallbacks].forEach(used => {
+      if (used.source) seen.set(`${used.family}/${used.weight}`, used);
+    });
+  });
+  return [...seen.values()];
+}
+
+// Helper: Bullet marker placement: a glyph on the text baseline, or a shape centred `rise` mm above it
+// `start` is the physical side bullets hang from ('left', or 'right' in right-to-left documents)
+function markerStyle(bullet, color, lineHeightValue, start) {
+  if (bullet.shape === 'text') {
+    return { position: 'absolute', [start]: `${bullet.offset}mm`, top: 0, color, 'white-space': 'pre' };
+  }
+  const style = {
+    position: 'absolute',
+    [start]: `${bullet.offset}mm`,
+    top: `calc(1em * (${lineHeightValue} - 1) / 2 + ${BASELINE}em - ${num(bullet.rise + bullet.size)}mm)`,
+    width: `${num(bullet.size * 2)}mm`,
+    height: `${num(bullet.size * 2)}mm`,
+    color,
+  };
+  if (bullet.shape === 'circle' || bullet.shape === 'square') style.background = 'currentColor';
+  if (bullet.shape === 'circle') style['border-radius'] = '50%';
+  return style;
+}
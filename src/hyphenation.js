@@ -0,0 +1,123 @@
+/**
+ * jsPDF++ - Hyphenation
+ *
+ * Frank Liang's algorithm (the one TeX uses) with pattern files bundled in
+ * src/patterns/: English, Spanish, French, Italian and Portuguese. Other
+ * languages can be added from any TeX pattern file:
+ *
+ *   registerHyphenation('de', { patterns: germanPatterns, leftMin: 2, rightMin: 2 });
+ *
+ * Patterns are letters with digits between them ("hy3ph"); an odd digit allows
+ * a break there, the highest digit from all matching patterns wins. Exceptions
+ * are whole words with their breaks marked ("ta-ble").
+ */
+
+import en from './patterns/hyph-en.js';
+import es from './patterns/hyph-es.js';
+import fr from './patterns/hyph-fr.js';
+import it from './patterns/hyph-it.js';
+import pt from './patterns/hyph-pt.js';
+
+const languages = new Map(Object.entries({ en, es, fr, it, pt }));
+
+// Parsed pattern tables, built the first time a language is used
+const tables = new Map();
+
+/**
+ * Add or replace the hyphenation patterns of a language
+ * @param {string} language - Primary language subtag ('de', 'nl'...)
+ * @param {Object} definition
+ * @param {string} definition.patterns - TeX patterns separated by whitespace
+ * @param {string} [definition.exceptions] - Hyphenated words separated by whitespace
+ * @param {number} [definition.leftMin=2] - Fewest letters before a break
+ * @param {number} [definition.rightMin=2] - Fewest letters after a break
+ */
+export function registerHyphenation(language, definition) {
+  if (!definition || typeof definition.patterns !== 'string') {
+    throw new Error(`Hyphenation for '${language}' needs a patterns string`);
+  }
+  const key = language.toLowerCase();
+  languages.set(key, definition);
+  tables.delete(key);
+}
+
+/**
+ * Languages with hyphenation patterns
+ * @returns {string[]}
+ */
+export function hyphenationLanguages() {
+  return [...languages.keys()];
+}
+
+// Helper: Pattern and exception lookup tables for a language
+function tableFor(language) {
+  if (tables.has(language)) return tables.get(language);
+
+  const { patterns, exceptions = '', leftMin = 2, rightMin = 2 } = languages.get(language);
+  const table = { patterns: new Map(), exceptions: new Map(), longest: 0, leftMin, rightMin };
+
+  patterns.split(/\s+/).filter(Boolean).forEach(pattern => {
+    const letters = pattern.replace(/\d/g, '');
+    const values = new Array(letters.length + 1).fill(0);
+    let position = 0;
+    for (const char of pattern) {
+      if (/\d/.test(char)) values[position] = Number(char);
+      else position++;
+    }
+    table.patterns.set(letters, values);
+    table.longest = Math.max(table.longest, letters.length);
+  });
+
+  exceptions.split(/\s+/).filter(Boolean).forEach(entry => {
+    const points = [];
+    let position = 0;
+    for (const char of entry) {
+      if (char === '-') points.push(position);
+      else position++;
+    }
+    table.exceptions.set(entry.replace(/-/g, '').toLowerCase(), points);
+  });
+
+  tables.set(language, table);
+  return table;
+}
+
+/**
+ * Create a function returning where a word may break
+ * Only lowercase words are hyphenated: names of companies, products and
+ * technologies ("Kubernetes", "TypeScript") stay whole so ATS keyword
+ * matching still finds them.
+ * @param {string} language - Language tag ('en', 'pt-BR'...)
+ * @param {number} minWordLength - Shorter words never break
+ * @returns {Function|null} word => offsets (break before word[offset]), or null
+ *          when there are no patterns for the language
+ */
+export function createHyphenator(language, minWordLength) {
+  const key = String(language).toLowerCase().split(/[-_]/)[0];
+  if (!languages.has(key)) return null;
+
+  return word => {
+    if (word.length < minWordLength || word !== word.toLowerCase()) return [];
+    const table = tableFor(key);
+    if (table.exceptions.has(word)) return table.exceptions.get(word);
+
+    // values[i] scores the gap before padded[i]
+    const padded = `.${word}.`;
+    const values = new Array(padded.length + 1).fill(0);
+    for (let start = 0; start < padded.length; start++) {
+      for (let end = start + 1; end <= Math.min(padded.length, start + table.longest); end++) {
+        const pattern = table.patterns.get(padded.slice(start, end));
+        if (!pattern) continue;
+        pattern.forEach((value, i) => {
+          if (value > values[start + i]) values[start + i] = value;
+        });
+      }
+    }
+
+    const points = [];
+    for (let offset = table.leftMin; offset <= word.length - table.rightMin; offset++) {
+      if (values[offset + 1] % 2 === 1) points.push(offset);
+    }
+    return points;
+  };
+}
@@ -0,0 +1,289 @@
+/**
+ * jsPDF++ - Inline markdown
+ *
+ * Summary and bullet text support a small markdown subset:
+ *   **bold**   *italic*   `code`   [text](https://example.com)   \* (escape)
+ *
+ * parseInline() turns text into styled runs. Each run carries the markup it
+ * came from (ghostBefore / ghostAfter) so the renderer can emit the markers
+ * as ghost tags and ATS parsers still see the original markdown.
+ *
+ * Links only become clickable with an http, https, mailto or tel URL, or a
+ * relative one; anything else (javascript:, data:...) stays plain text.
+ */
+
+export const LINK_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+// Escapes, code spans, bold, italic and links, in precedence order
+const INLINE_PATTERN = /\\([\\`*_[\]()])|`([^`]+)`|\*\*(?=\S)([\s\S]*?\S)\*\*|\*(?=[^*\s])([^*]*?[^*\s])\*|\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+/**
+ * Scheme of a URL, lowercased
+ * @param {string} url
+ * @returns {string|null} 'https', 'mailto'..., or null for relative URLs
+ */
+export function urlScheme(url) {
+  // Browsers ignore control characters and whitespace inside a scheme ("java\tscript:")
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(String(url).replace(/[\u0000-\u0020\u007F]/g, ''));
+  return scheme ? scheme[1].toLowerCase() : null;
+}
+
+/**
+ * Whether a URL may be a link target: one of LINK_SCHEMES, or relative ('/cv', '#skills')
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isSafeUrl(url) {
+  const scheme = urlScheme(url);
+  return !scheme || LINK_SCHEMES.includes(scheme);
+}
+
+/**
+ * Parse inline markdown into runs
+ * @param {string} text
+ * @param {Object} [style] - Inherited style ({ bold, italic, code, url })
+ * @returns {Object[]} [{ text, bold, italic, code, url, ghostBefore, ghostAfter }]; `url` only for safe links
+ */
+export function parseInline(text, style = {}) {
+  const runs = [];
+  const pattern = new RegExp(INLINE_PATTERN.source, 'g');
+  let last = 0;
+  let match;
+
+  function plain(value, runStyle = style) {
+    if (value) runs.push({ ...runStyle, text: value, ghostBefore: '', ghostAfter: '' });
+  }
+
+  // Nested runs get the markers on their first and last run
+  function wrapped(children, before, after) {
+    if (children.length === 0) return;
+    children[0].ghostBefore = before + children[0].ghostBefore;
+    children[children.length - 1].ghostAfter += after;
+    runs.push(...children);
+  }
+
+  while ((match = pattern.exec(text)) !== null) {
+    plain(text.slice(last, match.index));
+    last = pattern.lastIndex;
+
+    const [, escaped, code, bold, italic, label, url] = match;
+    if (escaped) {
+      runs.push({ ...style, text: escaped, ghostBefore: '\\', ghostAfter: '' });
+    } else if (code) {
+      wrapped([{ ...style, code: true, text: code, ghostBefore: '', ghostAfter: '' }], '`', '`');
+    } else if (bold) {
+      wrapped(parseInline(bold, { ...style, bold: true }), '**', '**');
+    } else if (italic) {
+      wrapped(parseInline(italic, { ...style, italic: true }), '*', '*');
+    } else {
+      const linkStyle = isSafeUrl(url) ? { ...style, url } : style;
+      wrapped(parseInline(label, linkStyle), '[', `](${url})`);
+    }
+  }
+  plain(text.slice(last));
+
+  // Merge neighbours with identical style and no markers in between
+  return runs.reduce((merged, run) => {
+    const previous = merged[merged.length - 1];
+    if (previous && !previous.ghostAfter && !run.ghostBefore && sameStyle(previous, run)) {
+      previous.text += run.text;
+      previous.ghostAfter = run.ghostAfter;
+    } else {
+      merged.push(run);
+    }
+    return merged;
+  }, []);
+}
+
+function sameStyle(a, b) {
+  return Boolean(a.bold) === Boolean(b.bold)
+    && Boolean(a.italic) === Boolean(b.italic)
+    && Boolean(a.code) === Boolean(b.code)
+    && a.url === b.url;
+}
+
+/**
+ * Remove inline markdown, keeping the visible text
+ * @param {string} text
+ * @returns {string}
+ */
+export function stripInline(text) {
+  return parseInline(text).map(run => run.text).join('');
+}
+
+/**
+ * Escape text so parseInline() reads it literally
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeInline(text) {
+  return String(text).replace(/([\\`*_[\]()])/g, '\\$1');
+}
+
+/**
+ * Wrap runs into lines no wider than maxWidth
+ * Lines break at whitespace, so a word split across styles ("**42**%")
+ * stays together. Non-breaking spaces (U+00A0) never break. A word wider
+ * than the line gets a line of its own unless options let it break.
+ * @param {Object[]} runs - From parseInline()
+ * @param {number} maxWidth - mm
+ * @param {Function} measure - (text, run) => width in mm
+ * @param {Object} [options]
+ * @param {Function} [options.hyphenate] - word => break offsets (createHyphenator()); also
+ *                   allows breaks after hyphens in the text. Code spans and links aren't hyphenated.
+ * @param {boolean} [options.breakWords] - Break a word wider than the line between any two characters
+ * @returns {Object[][]} Lines of pieces: [{ run, text, width, first, last, hyphen }], `hyphen`
+ *          marking the "-" added where a word was hyphenated
+ */
+export function wrapRuns(runs, maxWidth, measure, options = {}) {
+  const { hyphenate = null, breakWords = false } = options;
+
+  // Split runs into words (pieces without whitespace between them) and spaces
+  const tokens = [];
+  runs.forEach(run => {
+    const parts = run.text.match(/[^\S\u00A0]+|[\S\u00A0]+/g) || [];
+    parts.forEach((part, i) => {
+      const piece = {
+        run,
+        text: part,
+        width: measure(part, run),
+        first: i === 0,
+        last: i === parts.length - 1,
+      };
+      const space = /^[^\S\u00A0]/.test(part);
+      const previous = tokens[tokens.length - 1];
+      if (!space && previous && !previous.space) {
+        previous.pieces.push(piece);
+        previous.width += piece.width;
+      } else {
+        tokens.push({ space, pieces: [piece], width: piece.width });
+      }
+    });
+  });
+
+  // Helper: Part of a word between two offsets, pieces cut at either end measured again
+  function sliceWord(word, start, end) {
+    const pieces = [];
+    let offset = 0;
+    word.pieces.forEach(piece => {
+      const from = Math.max(start - offset, 0);
+      const to = Math.min(end - offset, piece.text.length);
+      offset += piece.text.length;
+      if (from >= to) return;
+      if (from === 0 && to === piece.text.length) {
+        pieces.push(piece);
+        return;
+      }
+      const text = piece.text.slice(from, to);
+      pieces.push({
+        ...piece,
+        text,
+        width: measure(text, piece.run),
+        first: piece.first && from === 0, // Markers stay with the ends of the run
+        last: piece.last && to === piece.text.length,
+      });
+    });
+    return { space: false, pieces, width: pieces.reduce((sum, piece) => sum + piece.width, 0) };
+  }
+
+  // Helper: Offsets a word may break at, in order, with whether a hyphen is added there
+  // Literal words (URLs, e-mail addresses, file names) only break after their own hyphens
+  function breakPoints(word, literal) {
+    const text = word.pieces.map(piece => piece.text).join('');
+    const breakable = word.pieces.flatMap(piece => Array(piece.text.length).fill(!piece.run.code && !piece.run.url));
+    const allowed = (start, end) => breakable.slice(start, end).every(Boolean);
+    const points = [];
+
+    for (const match of text.matchAll(/[\p{L}\p{N}][-\u2010](?=[\p{L}\p{N}])/gu)) {
+      if (allowed(match.index, match.index + 2)) points.push({ offset: match.index + 2, hyphen: false });
+    }
+    if (literal) return points;
+
+    for (const match of text.matchAll(/\p{L}+/gu)) {
+      if (!allowed(match.index, match.index + match[0].length)) continue;
+      hyphenate(match[0]).forEach(offset => points.push({ offset: match.index + offset, hyphen: true }));
+    }
+    return points.sort((a, b) => a.offset - b.offset);
+  }
+
+  // Helper: Split a word so its head fits in room: at the last hyphenation point that fits,
+  // else (alone on its line, with breakWords) after the last character that fits. Null if it can't
+  function splitWord(word, room, alone, literal) {
+    const length = word.pieces.reduce((sum, piece) => sum + piece.text.length, 0);
+    const points = hyphenate ? breakPoints(word, literal) : [];
+
+    for (let i = points.length - 1; i >= 0; i--) {
+      const { offset, hyphen } = points[i];
+      const head = sliceWord(word, 0, offset);
+      if (hyphen) {
+        const { run } = head.pieces[head.pieces.length - 1];
+        const mark = { run, text: '-', width: measure('-', run), first: false, last: false, hyphen: true };
+        head.pieces.push(mark);
+        head.width += mark.width;
+      }
+      if (head.width <= room) return { head, tail: sliceWord(word, offset, length) };
+    }
+
+    if (!breakWords || !alone) return null;
+
+    // Character by character, keeping combining marks with their letter; at least one per line
+    const clusters = word.pieces.map(piece => piece.text).join('').match(/\P{M}\p{M}*|\p{M}+/gu);
+    let offset = clusters[0].length;
+    for (let i = 1; i < clusters.length; i++) {
+      const next = offset + clusters[i].length;
+      if (sliceWord(word, 0, next).width > room) break;
+      offset = next;
+    }
+    if (offset >= length) return null;
+    return { head: sliceWord(word, 0, offset), tail: sliceWord(word, offset, length) };
+  }
+
+  const lines = [];
+  let line = [];
+  let lineWidth = 0;
+  let pendingSpace = null;
+
+  function place(word) {
+    if (pendingSpace) {
+      line.push(...pendingSpace.pieces);
+      lineWidth += pendingSpace.width;
+      pendingSpace = null;
+    }
+    line.push(...word.pieces);
+    lineWidth += word.width;
+  }
+
+  function breakLine() {
+    lines.push(line);
+    line = [];
+    lineWidth = 0;
+    pendingSpace = null;
+  }
+
+  tokens.forEach(token => {
+    if (token.space) {
+      if (line.length > 0) pendingSpace = token;
+      return;
+    }
+
+    // A word that doesn't fit breaks inside if it may, else moves to the next line.
+    // An added hyphen would change a URL, e-mail address or file name
+    const literal = /[/@_\\]|\p{L}\.\p{L}/u.test(token.pieces.map(piece => piece.text).join(''));
+    let word = token;
+    for (;;) {
+      const room = line.length > 0 ? maxWidth - lineWidth - (pendingSpace ? pendingSpace.width : 0) : maxWidth;
+      const split = word.width > room && (hyphenate || breakWords) ? splitWord(word, room, line.length === 0, literal) : null;
+      if (word.width > room && !split && line.length > 0) {
+        breakLine();
+        continue;
+      }
+      place(split ? split.head : word);
+      if (!split) break;
+      breakLine();
+      word = split.tail;
+    }
+  });
+  if (line.length > 0) lines.push(line);
+
+  return lines;
+}
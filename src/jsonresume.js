@@ -0,0 +1,314 @@
+/**
+ * jsPDF++ - JSON Resume import
+ *
+ * fromJSONResume() maps a JSON Resume document (https://jsonresume.org/schema)
+ * onto the section model generatePDF expects:
+ *
+ *   basics        -> header (name, structured contact and image as the photo) and summary
+ *   work          -> experience, consecutive entries at one company grouped as roles
+ *   volunteer     -> experience
+ *   education     -> education
+ *   projects      -> projects
+ *   skills        -> skills (keywords rated at the entry's level, under its name as the category),
+ *                    or section ("Frontend (Wizard): React, CSS") when a level isn't one of the known names
+ *   awards        -> certifications-style entries
+ *   certificates  -> certifications
+ *   publications  -> publications
+ *   languages     -> languages
+ *   interests     -> section
+ *   references    -> section (not in the default order)
+ *
+ * Every section gets the JSON Resume key as its id ('basics' for the header),
+ * so layouts can place it with `sections: ['skills']`.
+ */
+
+import { DEFAULT_SKILLS } from './skills.js';
+
+export const JSON_RESUME_ORDER = [
+  'basics',
+  'summary',
+  'work',
+  'volunteer',
+  'education',
+  'projects',
+  'skills',
+  'awards',
+  'certificates',
+  'publications',
+  'languages',
+  'interests',
+];
+
+export const JSON_RESUME_TITLES = {
+  work: 'Experience',
+  volunteer: 'Volunteering',
+  education: 'Education',
+  projects: 'Projects',
+  skills: 'Skills',
+  awards: 'Awards',
+  certificates: 'Certifications',
+  publications: 'Publications',
+  languages: 'Languages',
+  interests: 'Interests',
+  references: 'References',
+};
+
+// Skill level names JSON Resume documents use besides DEFAULT_SKILLS.levels, as levels 1 to 5
+const SKILL_LEVEL_ALIASES = { novice: 1, basic: 1, junior: 2, proficient: 3, senior: 4, master: 5 };
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Format a JSON Resume date: "2020-03-15" and "2020-03" -> "Mar 2020", "2020" -> "2020"
+ * Anything else is returned unchanged.
+ * @param {string} date
+ * @returns {string}
+ */
+export function formatResumeDate(date) {
+  const match = /^(\d{4})(?:-(\d{2}))?(?:-\d{2})?/.exec(String(date || '').trim());
+  if (!match) return date || '';
+  const month = match[2] ? MONTHS[Number(match[2]) - 1] : null;
+  return month ? `${month} ${match[1]}` : match[1];
+}
+
+// Helper: Non-empty strings only
+function compact(values) {
+  return values.filter(value => typeof value === 'string' && value.trim() !== '');
+}
+
+// Helper: "Name: a, b" or just "Name"
+function labelled(name, keywords) {
+  const list = compact(keywords || []).join(', ');
+  if (name && list) return `${name}: ${list}`;
+  return name || list;
+}
+
+// Helper: Rating of a JSON Resume skill level: { level } from a level name or 0 to 5,
+// { percent } from "80%", {} without a level, or null if it can't be read
+function skillRating(level) {
+  if (level === undefined || level === null || String(level).trim() === '') return {};
+  const text = String(level).trim().toLowerCase();
+  const named = DEFAULT_SKILLS.levels.findIndex(name => name.toLowerCase() === text) + 1 || SKILL_LEVEL_ALIASES[text];
+  if (named) return { level: named };
+  const number = /^(\d+(?:\.\d+)?)\s*(%?)$/.exec(text);
+  if (number && number[2]) return Number(number[1]) <= 100 ? { percent: Number(number[1]) } : null;
+  if (number) return Number(number[1]) <= 5 ? { level: Number(number[1]) } : null;
+  return null;
+}
+
+/**
+ * Map a JSON Resume document to generatePDF formData
+ * @param {Object} resume - JSON Resume document
+ * @param {Object} [options]
+ * @param {string[]} [options.order] - JSON Resume keys in render order ('summary' is basics.summary); others are left out
+ * @param {Object} [options.titles] - Section titles by JSON Resume key (merged over JSON_RESUME_TITLES)
+ * @param {Function} [options.formatDate] - (date) => string, defaults to formatResumeDate
+ * @param {string} [options.present='Present'] - End of a range without endDate
+ * @param {string} [options.dateSeparator=' - ']
+ * @param {string} [options.language] - Document language for the PDF metadata
+ * @returns {Object} formData with a sections array
+ */
+export function fromJSONResume(resume, options = {}) {
+  if (!resume || typeof resume !== 'object') {
+    throw new Error('fromJSONResume expects a JSON Resume object');
+  }
+
+  const {
+    order = JSON_RESUME_ORDER,
+    formatDate = formatResumeDate,
+    present = 'Present',
+    dateSeparator = ' - ',
+  } = options;
+  const titles = { ...JSON_RESUME_TITLES, ...options.titles };
+  const basics = resume.basics || {};
+
+  // "Mar 2020 - Present", "2018 - 2020" or a single date
+  function period(start, end) {
+    if (!start && !end) return '';
+    if (!start) return formatDate(end);
+    return `${formatDate(start)}${dateSeparator}${end ? formatDate(end) : present}`;
+  }
+
+  // Profiles link with the network's name ("GitHub"); without a URL they're plain text, "GitHub: jane"
+  function profileItem({ network, url, username }) {
+    if (!url) return { type: 'location', value: compact([network, username]).join(': ') };
+    return network ? { type: 'url', value: url, label: network } : { type: 'url', value: url };
+  }
+
+  function contact() {
+    const location = basics.location || {};
+    const place = compact([location.city, location.region || location.countryCode]).join(', ');
+    const profiles = (basics.profiles || []).filter(profile => profile.url || profile.username);
+
+    return [
+      basics.email && { type: 'email', value: basics.email },
+      basics.phone && { type: 'phone', value: basics.phone },
+      place && { type: 'location', value: place },
+      basics.url && { type: 'url', value: basics.url },
+      ...profiles.map(profileItem),
+    ].filter(Boolean);
+  }
+
+  // Consecutive positions at the same organisation become roles of one job
+  function jobs(entries, nameKey) {
+    return entries.reduce((grouped, entry) => {
+      const role = {
+        title: entry.position || '',
+        period: period(entry.startDate, entry.endDate),
+        bullets: compact([entry.summary, ...(entry.highlights || [])]),
+      };
+      const previous = grouped[grouped.length - 1];
+      if (previous && previous.company === entry[nameKey]) {
+        previous.roles.push(role);
+      } else {
+        grouped.push({ company: entry[nameKey] || '', roles: [role] });
+      }
+      return grouped;
+    }, []);
+  }
+
+  const builders = {
+    basics: () => {
+      if (!basics.name) return null;
+      const items = contact();
+      const content = { name: basics.name };
+      if (items.length > 0) content.contact = items;
+      if (basics.image) content.photo = basics.image;
+      return { type: 'header', content };
+    },
+
+    summary: () => basics.summary && { type: 'summary', content: { text: basics.summary } },
+
+    work: list => ({ type: 'experience', content: { jobs: jobs(list, 'name') } }),
+
+    volunteer: list => ({ type: 'experience', content: { jobs: jobs(list, 'organization') } }),
+
+    education: list => ({
+      type: 'education',
+      content: {
+        items: list.map(item => ({
+          school: item.institution || '',
+          degree: item.studyType,
+          field: item.area,
+          period: period(item.startDate, item.endDate),
+          gpa: item.score,
+          bullets: compact(item.courses || []).length > 0 ? [labelled('Courses', item.courses)] : [],
+        })),
+      },
+    }),
+
+    projects: list => ({
+      type: 'projects',
+      content: {
+        items: list.map(item => ({
+          name: item.name || '',
+          url: item.url,
+          tech: compact(item.keywords || []),
+          period: period(item.startDate, item.endDate),
+          bullets: compact([item.description, ...(item.highlights || [])]),
+        })),
+      },
+    }),
+
+    skills: list => {
+      // Rated keywords when every level can be read, otherwise "Name (Level): keywords" bullets
+      const ratings = list.map(skill => skillRating(skill.level));
+      const rated = ratings.some(rating => rating && Object.keys(rating).length > 0) && !ratings.includes(null);
+      if (!rated) {
+        return {
+          type: 'section',
+          content: {
+            bullets: compact(list.map(skill => labelled(
+              skill.level ? `${skill.name} (${skill.level})` : skill.name,
+              skill.keywords
+            ))),
+          },
+        };
+      }
+      return {
+        type: 'skills',
+        content: {
+          items: list.flatMap((skill, i) => {
+            const category = skill.name ? { category: skill.name } : {};
+            const keywords = compact(skill.keywords || []);
+            if (keywords.length === 0) return skill.name ? [{ name: skill.name, ...ratings[i] }] : [];
+            return keywords.map(name => ({ name, ...ratings[i], ...category }));
+          }),
+        },
+      };
+    },
+
+    awards: list => ({
+      type: 'certifications',
+      content: {
+        items: list.map(item => ({
+          name: item.title || '',
+          issuer: item.awarder,
+          date: item.date ? formatDate(item.date) : undefined,
+          bullets: compact([item.summary]),
+        })),
+      },
+    }),
+
+    certificates: list => ({
+      type: 'certifications',
+      content: {
+        items: list.map(item => ({
+          name: item.name || '',
+          issuer: item.issuer,
+          date: item.date ? formatDate(item.date) : undefined,
+        })),
+      },
+    }),
+
+    publications: list => ({
+      type: 'publications',
+      content: {
+        items: list.map(item => ({
+          title: item.name || '',
+          publisher: item.publisher,
+          date: item.releaseDate ? formatDate(item.releaseDate) : undefined,
+          bullets: compact([item.summary]),
+        })),
+      },
+    }),
+
+    languages: list => ({
+      type: 'languages',
+      content: {
+        items: list.filter(item => item.language).map(item => (
+          item.fluency ? { language: item.language, proficiency: item.fluency } : item.language
+        )),
+      },
+    }),
+
+    interests: list => ({
+      type: 'section',
+      content: { bullets: compact(list.map(item => labelled(item.name, item.keywords))) },
+    }),
+
+    references: list => ({
+      type: 'section',
+      content: { bullets: compact(list.map(item => (item.reference ? `${item.reference} - ${item.name}` : ''))) },
+    }),
+  };
+
+  const sections = [];
+  order.forEach(key => {
+    const build = builders[key];
+    if (!build) {
+      throw new Error(`Unknown JSON Resume section '${key}' (expected ${Object.keys(builders).join(', ')})`);
+    }
+
+    let section;
+    if (key === 'basics' || key === 'summary') {
+      section = build();
+      if (section) section = { id: key, ...section };
+    } else if (Array.isArray(resume[key]) && resume[key].length > 0) {
+      section = { id: key, title: titles[key], ...build(resume[key]) };
+    }
+    if (section) sections.push(section);
+  });
+
+  return options.language ? { language: options.language, sections } : { sections };
+}
@@ -0,0 +1,1140 @@
+/**
+ * jsPDF++ - Layout
+ *
+ * Everything generatePDF puts on a page is placed here first, as a plain tree
+ * that drawLayout() then paints. layout() returns the same tree without
+ * producing a file, for page-count warnings, preview overlays and layout tests:
+ *
+ *   {
+ *     width: 210, height: 297, direction: 'ltr', ghostMode: 'invisible',
+ *     missingGlyphs: [{ char: '★', codePoint: 9733, sections: [4] }],
+ *     pages: [{
+ *       number: 1,
+ *       blocks: [{
+ *         type: 'title', section: 2, x: 15, y: 61.2, width: 180, height: 3.5,
+ *         shapes: [{ type: 'rect', x: 15, y: 60.1, width: 180, height: 4.7, color: [230, 231, 235] }],
+ *         lines: [{
+ *           x: 15, y: 61.2, width: 24.3, height: 3.5, baseline: 64,
+ *           runs: [
+ *             { text: '## ', x: 15, width: 4.1, font: { family: 'Inter', style: 'semibold', size: 10 }, color: [255, 255, 255], ghost: true },
+ *             { text: 'EXPERIENCE', x: 15, width: 24.3, font: { family: 'Inter', style: 'semibold', size: 10 }, color: [0, 0, 0] },
+ *           ],
+ *           links: [],
+ *         }],
+ *       }],
+ *     }],
+ *   }
+ *
+ * Lengths are in mm and y grows down the page. Blocks are what one step of the
+ * flow draws: 'background', 'photo', 'name', 'contact', 'headerBar', 'rule', 'summary',
+ * 'title', 'heading', 'meta', 'bullet', 'skill', 'pageHeader' and 'pageFooter'. A
+ * paragraph or bullet split across pages gives one block per page. `section`
+ * is the index of the block's section in formData.sections, as given
+ * (sections lenient validation skipped don't shift it). Runs with `ghost:
+ * true` are ghost tags, in the order they are drawn; their colour only shows
+ * in the 'color' ghost mode. The "-" added where theme.text hyphenation
+ * breaks a word is a run with `hyphen: true`. Shapes are rects (with a
+ * corner `radius` for skill bars and tags), lines, circles, polygons and
+ * images (by asset path); the header photo is an image with a `clip` frame
+ * ({ x, y, width, height, radius }) and maybe a `border`.
+ *
+ * In 'rtl' documents (see bidi.js) positions are mirrored: prefixes, bullets
+ * and section bars sit at the right edge of the column, right-aligned text at
+ * the left. Runs that read right to left have `rtl: true`; their text stays in
+ * logical order, and runs are listed (and drawn) in reading order.
+ *
+ * Text a face has no glyphs for is split into runs in theme.fontFallbacks
+ * (see glyphs.js). missingGlyphs lists the characters no face could draw,
+ * with the sections they appear in; jsPDF leaves them out of the PDF.
+ */
+
+import { px, pt, lineHeight } from './units.js';
+import { createFetchLoader, loadAsset, bytesToBase64, toBytes, imageType } from './assets.js';
+import { loadThemeFonts } from './fonts.js';
+import { isEntrySection, sectionEntries, sectionBullets, formatContact } from './sections.js';
+import { resolveColumns, assignSections } from './columns.js';
+import { parseInline, wrapRuns } from './inline.js';
+import { resolveDecorations, applyTextTransform, bulletMarkerShape, sectionBoxShapes, photoShape } from './decorations.js';
+import { resolvePagination, linesThatFit, splitLines, keepLines } from './pagination.js';
+import { resolveGhostTags, DEFAULT_GHOST_TAGS } from './ghost.js';
+import { VALIDATION_MODES, checkFormData, checkTheme, originalIndex } from './validation.js';
+import { resolvePageSize } from './page.js';
+import { resolveRunningSlots, slotShowsOn, slotReserve, templateValues, fillTemplate } from './running.js';
+import { splitByCoverage } from './glyphs.js';
+import { resolveDirection, bidiLevels, bidiRuns, visualOrder } from './bidi.js';
+import { resolveTextStyle } from './paragraph.js';
+import { resolveSkills, skillGroups, skillFraction, skillLabel, ratingShapes } from './skills.js';
+
+// Share of a line's font size above the baseline, for line boxes and link areas
+const ASCENT = 0.8;
+
+// Share of a font size taken by capitals, for section bars and the header photo
+const CAP_HEIGHT = 0.7;
+
+// Image loading helper: asset path, data URI or bytes -> PNG or JPEG data URI
+async function loadImageAsBase64(loader, source) {
+  const label = typeof source === 'string' ? source.slice(0, 80) : '(bytes)';
+  try {
+    const bytes = typeof source === 'string' ? await loadAsset(loader, source) : toBytes(source);
+    if (!bytes) return null;
+    const type = imageType(bytes);
+    if (!type) throw new Error('not a PNG or JPEG image');
+    return `data:image/${type};base64,${bytesToBase64(bytes)}`;
+  } catch (error) {
+    console.error(`Failed to load image ${label}:`, error);
+    return null;
+  }
+}
+
+// Helper: Key of a header photo in the images map: its path or data URI, or 'header.photo' for bytes
+function photoKey(photo) {
+  return typeof photo === 'string' ? photo : 'header.photo';
+}
+
+// Helper: Visit an object's values, leaving out header photos (paths, data URIs and bytes aren't text)
+function eachValue(value, visit) {
+  Object.entries(value).forEach(([key, child]) => {
+    if (key !== 'photo') visit(child);
+  });
+}
+
+/**
+ * jsPDF constructor: injected via options, or the UMD global in the browser
+ */
+export function resolveJsPDF(options) {
+  if (options.jsPDF) return options.jsPDF;
+  if (globalThis.jspdf && globalThis.jspdf.jsPDF) return globalThis.jspdf.jsPDF;
+  throw new Error('jsPDF not found: pass options.jsPDF or load the jsPDF UMD bundle (window.jspdf)');
+}
+
+/**
+ * Helper: Font roles a document needs (inline markdown roles only when used)
+ */
+function usedFontRoles(formData, extraRoles = []) {
+  const roles = new Set(['name', 'heading', 'body', 'meta', ...extraRoles]);
+
+  function visit(value) {
+    if (typeof value === 'string') {
+      parseInline(value).forEach(run => {
+        if (run.code) roles.add('code');
+        else if (run.bold) roles.add('strong');
+        else if (run.italic) roles.add('emphasis');
+      });
+    } else if (value && typeof value === 'object') {
+      eachValue(value, visit);
+    }
+  }
+
+  visit(formData.sections);
+  return [...roles];
+}
+
+/**
+ * Helper: Every character the document may draw, so only the fallback fonts it needs are embedded
+ */
+function documentText(theme, formData, options) {
+  const strings = ['0123456789']; // Page numbers and dates
+
+  function visit(value) {
+    if (typeof value === 'string') strings.push(value);
+    else if (value && typeof value === 'object') eachValue(value, visit);
+  }
+
+  [formData.sections, theme.prefixes, theme.contact, theme.pageHeader, theme.pageFooter,
+    DEFAULT_GHOST_TAGS, theme.ghostTags, options.ghostTags, options.date].forEach(visit);
+  return strings.join('');
+}
+
+/**
+ * Create the jsPDF document a resume is measured in (and drawn into), with its fonts and images loaded
+ * @param {Object} theme - Resolved theme
+ * @param {Object} formData - Checked form data
+ * @param {Object} options - generatePDF options (ghostTags, date, photo)
+ * @param {Object} env - { jsPDF, assets, pageSize }
+ * @returns {Promise<{ doc: Object, fonts: Object, images: Object }>} images maps asset paths to data URIs (null if missing)
+ */
+export async function createLayoutContext(theme, formData, options, { jsPDF, assets, pageSize }) {
+  const doc = new jsPDF({
+    orientation: pageSize.orientation,
+    unit: "mm",
+    format: [pageSize.width, pageSize.height],
+  });
+
+  const running = resolveRunningSlots(theme);
+  const slotRoles = [running.header, running.footer].filter(Boolean).map(slot => slot.role);
+
+  // Load the font faces the theme's roles use (name, heading, body, meta + inline markdown)
+  const fonts = await loadThemeFonts(doc, theme, assets, usedFontRoles(formData, slotRoles), documentText(theme, formData, options));
+
+  // LOAD PNG IMAGES (for creative themes)
+  const images = {};
+  if (theme.images) {
+    images[theme.images.headerBar] = await loadImageAsBase64(assets, theme.images.headerBar);
+    images[theme.images.sectionBar] = await loadImageAsBase64(assets, theme.images.sectionBar);
+  }
+
+  // Header photo, unless options.photo leaves it out
+  if (options.photo !== false) {
+    for (const section of formData.sections) {
+      const photo = section.type === 'header' && section.content.photo;
+      if (photo) images[photoKey(photo)] = await loadImageAsBase64(assets, photo);
+    }
+  }
+
+  return { doc, fonts, images };
+}
+
+// Helper: [left, top, right, bottom] of a shape
+function shapeBounds(shape) {
+  switch (shape.type) {
+    case 'line': {
+      const half = shape.lineWidth / 2;
+      return [
+        Math.min(shape.x1, shape.x2) - half, Math.min(shape.y1, shape.y2) - half,
+        Math.max(shape.x1, shape.x2) + half, Math.max(shape.y1, shape.y2) + half,
+      ];
+    }
+    case 'circle':
+      return [shape.x - shape.radius, shape.y - shape.radius, shape.x + shape.radius, shape.y + shape.radius];
+    case 'polygon': {
+      const xs = shape.points.map(([x]) => x);
+      const ys = shape.points.map(([, y]) => y);
+      return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+    }
+    default: {
+      const { x, y, width, height } = shape.clip || shape; // Clipped images show their frame only
+      return [x, y, x + width, y + height];
+    }
+  }
+}
+
+// Helper: Give a line and its block their boxes (visible runs only, unless a line is all ghost tags)
+function measureBlock(block) {
+  const boxes = block.shapes.map(shapeBounds);
+
+  block.lines.forEach(line => {
+    const visible = line.runs.filter(run => !run.ghost);
+    const runs = visible.length > 0 ? visible : line.runs;
+    const size = Math.max(...runs.map(run => pt(null, run.font.size)));
+    const lineLeft = Math.min(...runs.map(run => run.x));
+    const lineRight = Math.max(...runs.map(run => run.x + run.width));
+
+    line.x = lineLeft;
+    line.y = line.baseline - size * ASCENT;
+    line.width = lineRight - lineLeft;
+    line.height = size;
+    boxes.push([lineLeft, line.y, lineRight, line.y + size]);
+  });
+
+  const [x0, y0, x1, y1] = boxes.reduce((union, box) => [
+    Math.min(union[0], box[0]), Math.min(union[1], box[1]), Math.max(union[2], box[2]), Math.max(union[3], box[3]),
+  ]);
+  const { type, section, lines, shapes } = block;
+  return { type, section, x: x0, y: y0, width: x1 - x0, height: y1 - y0, shapes, lines };
+}
+
+/**
+ * Lay out a resume in a prepared context
+ * @param {Object} theme - Resolved theme
+ * @param {Object} formData - Checked form data
+ * @param {Object} options - generatePDF options (ghostTags, date, photo)
+ * @param {Object} context - From createLayoutContext()
+ * @param {Object} pageSize - From resolvePageSize()
+ * @returns {Object} Layout tree (see the top of this file)
+ */
+export function layoutDocument(theme, formData, options, { doc, fonts, images }, pageSize) {
+  const decorations = resolveDecorations(theme);
+  const pagination = resolvePagination(theme);
+  const running = resolveRunningSlots(theme);
+  const ghost = resolveGhostTags(theme, options);
+  const contactStyle = { separator: ' | ', wrap: true, lineHeight: theme.lineHeights.body, ...theme.contact };
+  const textStyle = resolveTextStyle(theme, formData);
+  const skills = resolveSkills(theme);
+
+  const direction = resolveDirection(formData, options);
+  const rtl = direction === 'rtl';
+  const baseLevel = rtl ? 1 : 0; // Bidi paragraph level of every line
+
+  const pageWidth = pageSize.width;
+  const pageHeight = pageSize.height;
+  const margin = theme.margin;
+  const bg = theme.colors.bg;
+  const columns = resolveColumns(theme, pageSize, direction);
+  const headerBarImage = theme.images && images[theme.images.headerBar];
+  const sectionBarImage = theme.images && images[theme.images.sectionBar];
+
+  const pages = [];
+  let block = null;         // Block receiving text and shapes
+  let face = null;          // Face text is measured and recorded in
+  const missing = new Map(); // Characters no face can draw
+  let sectionIndex = null;  // Section being laid out
+
+  // Flow state of the column being rendered
+  let left = margin;
+  let right = pageWidth - margin;
+  let ghostColor = bg; // Ghost tags match whatever they sit on ('color' mode)
+  let tags = ghost.tagsFor(null); // Ghost tag vocabulary of the section being rendered
+  let page = 1;
+  let top = margin;    // First baseline on the page (below the running header)
+  let bottom = pageHeight - margin; // Lowest baseline on the page (above the running footer)
+  let y = margin;
+
+  // Helper: Start the block the next text and shapes go into
+  function beginBlock(type) {
+    block = { type, section: sectionIndex, page, lines: [], shapes: [] };
+    pages[page - 1].blocks.push(block);
+  }
+
+  // Helper: The current block, continued on the current page if the flow moved on
+  function target() {
+    if (block.page !== page) beginBlock(block.type);
+    return block;
+  }
+
+  // Helper: The line at a baseline in the current block
+  function lineAt(baseline) {
+    const { lines } = target();
+    let line = lines.find(candidate => Math.abs(candidate.baseline - baseline) < 1e-6);
+    if (!line) {
+      line = { x: 0, y: 0, width: 0, height: 0, baseline, runs: [], links: [] };
+      lines.push(line);
+    }
+    return line;
+  }
+
+  // Helper: Note a character no face can draw
+  function reportMissing(char) {
+    if (!missing.has(char)) missing.set(char, { char, codePoint: char.codePointAt(0), sections: new Set() });
+    if (sectionIndex !== null) missing.get(char).sections.add(sectionIndex);
+  }
+
+  // Helper: Width of text in the current face, characters it lacks measured in their fallback face
+  function textWidth(text) {
+    let width = 0;
+    splitByCoverage(text, face, reportMissing).forEach(part => {
+      if (part.face !== face) doc.setFont(part.face.family, part.face.style);
+      width += doc.getTextWidth(part.text);
+      if (part.face !== face) doc.setFont(face.family, face.style);
+    });
+    return width;
+  }
+
+  // Helper: Mirror a left edge across the column (right-to-left documents are laid out left to right, then mirrored)
+  function mirrorX(x, width) {
+    return left + right - x - width;
+  }
+
+  function mirrorShape(shape) {
+    const axis = left + right;
+    switch (shape.type) {
+      case 'line':
+        return { ...shape, x1: axis - shape.x1, x2: axis - shape.x2 };
+      case 'circle':
+        return { ...shape, x: axis - shape.x };
+      case 'polygon':
+        return { ...shape, points: shape.points.map(([pointX, pointY]) => [axis - pointX, pointY]) };
+      case 'image':
+        return {
+          ...shape,
+          x: mirrorX(shape.x, shape.width),
+          ...(shape.clip ? { clip: { ...shape.clip, x: mirrorX(shape.clip.x, shape.clip.width) } } : {}),
+        };
+      default:
+        return { ...shape, x: mirrorX(shape.x, shape.width) };
+    }
+  }
+
+  // Helper: Record text of one bidi level from x, one run per face it falls back to
+  // Right-to-left runs keep their text in logical order and are marked `rtl`; drawLayout reverses them
+  function placeRun(text, x, atY, color, extra, level) {
+    const size = doc.getFontSize();
+    const backwards = level % 2 === 1;
+    const parts = splitByCoverage(text, face, reportMissing);
+    const widths = parts.map(part => {
+      doc.setFont(part.face.family, part.face.style);
+      return doc.getTextWidth(part.text);
+    });
+    let runX = backwards ? x + widths.reduce((sum, width) => sum + width, 0) : x;
+
+    parts.forEach((part, i) => {
+      if (backwards) runX -= widths[i];
+      lineAt(atY).runs.push({
+        text: part.text,
+        x: runX,
+        width: widths[i],
+        font: { family: part.face.family, style: part.face.style, size },
+        color,
+        ...(backwards ? { rtl: true } : {}),
+        ...extra,
+      });
+      if (!backwards) runX += widths[i];
+    });
+    doc.setFont(face.family, face.style);
+  }
+
+  // Helper: Record text from x on the page: mixed-direction runs placed in display order,
+  // recorded in logical order so text extractors read them that way
+  function placeText(text, x, atY, color, extra, level = baseLevel) {
+    const runs = bidiRuns(text, level).map(run => ({ ...run, width: textWidth(run.text) }));
+    let runX = x;
+    visualOrder(runs).forEach(run => {
+      run.x = runX;
+      runX += run.width;
+    });
+    runs.forEach(run => placeRun(run.text, run.x, atY, color, extra, run.level));
+  }
+
+  // Helper: Record text at a position in the column's reading direction (x is its left edge as if left to right)
+  function addText(text, x, atY, color, extra) {
+    placeText(text, rtl ? mirrorX(x, textWidth(text)) : x, atY, color, extra);
+  }
+
+  // Helper: Record a shape, given as if left to right
+  function addShape(shape) {
+    target().shapes.push(rtl ? mirrorShape(shape) : shape);
+  }
+
+  // Helper: Switch the face text is measured and recorded in
+  function useFace(next) {
+    face = next;
+    doc.setFont(face.family, face.style);
+  }
+
+  // Helper: Switch to the font face of a text role
+  function setRoleFont(role) {
+    useFace(fonts[role]);
+  }
+
+  // Helper: Font face for an inline markdown run
+  function runFace(run, baseRole) {
+    if (run.code) return fonts.code;
+    if (run.bold) return fonts.strong;
+    if (run.italic) return fonts.emphasis;
+    return fonts[baseRole];
+  }
+
+  // Helper: Ghost tag for ATS parsers, never visible on the page
+  function drawGhost(text, x, atY) {
+    if (!text || ghost.mode === 'off') return;
+    placeGhost(text, rtl ? mirrorX(x, textWidth(text)) : x, atY);
+  }
+
+  // Helper: Ghost tag at a position on the page
+  // Tags are markdown, so they're laid out left to right in any document and extract verbatim
+  function placeGhost(text, x, atY) {
+    if (!text || ghost.mode === 'off') return;
+    placeText(text, x, atY, ghostColor, { ghost: true }, 0);
+  }
+
+  // Helper: Wrap inline markdown (bold, italic, code, links) into lines no wider than maxWidth
+  // wrap: { hyphenate, breakWords } for paragraphs, see wrapRuns()
+  function layoutRichText(text, maxWidth, fontSize, baseRole = 'body', wrap = {}) {
+    doc.setFontSize(fontSize);
+    return wrapRuns(parseInline(text), maxWidth, (part, run) => {
+      useFace(runFace(run, baseRole));
+      return textWidth(part);
+    }, wrap);
+  }
+
+  // Helper: Wrap a summary or bullet paragraph with the theme's hyphenation settings
+  function layoutParagraph(text, maxWidth, fontSize) {
+    return layoutRichText(text, maxWidth, fontSize, 'body', textStyle);
+  }
+
+  // Helper: A wrapped line's pieces split where the bidi level changes, in logical order
+  function lineSegments(line, baseRole) {
+    const levels = bidiLevels(line.map(piece => piece.text).join(''), baseLevel);
+    const segments = [];
+    let offset = 0;
+
+    line.forEach(piece => {
+      // An added hyphen goes with the end of its word
+      if (piece.hyphen && offset > 0) levels[offset] = levels[offset - 1];
+      let start = 0;
+      for (let i = 1; i <= piece.text.length; i++) {
+        if (i < piece.text.length && levels[offset + i] === levels[offset + start]) continue;
+
+        const text = piece.text.slice(start, i);
+        useFace(runFace(piece.run, baseRole));
+        segments.push({
+          piece,
+          text,
+          level: levels[offset + start],
+          width: text === piece.text ? piece.width : textWidth(text),
+          first: piece.first && start === 0, // Where the run's opening marker goes
+          last: piece.last && i === piece.text.length,
+        });
+        start = i;
+      }
+      offset += piece.text.length;
+    });
+    return segments;
+  }
+
+  // Helper: Draw wrapped lines, the first baseline at the current y
+  // Right-to-left lines end at the mirrored x, mixed-direction text in display order.
+  // paragraph: { align, width, last } centres or justifies lines in width, except `last`
+  function drawRichLines(lines, x, fontSize, lineGap, color, baseRole = 'body', paragraph = null) {
+    doc.setFontSize(fontSize);
+    const linkColor = theme.colors.link || color;
+    const textHeight = pt(theme, fontSize);
+
+    lines.forEach((line, index) => {
+      const lineY = y + index * lineGap;
+      const segments = lineSegments(line, baseRole);
+      let lineWidth = segments.reduce((sum, segment) => sum + segment.width, 0);
+      let lineX = x;
+
+      // Justified lines share the slack between their spaces; a centred one splits it either side
+      const slack = paragraph ? paragraph.width - lineWidth : 0;
+      if (paragraph && paragraph.align === 'justify' && line !== paragraph.last && slack > 0) {
+        const spaces = segments.filter(segment => /^[^\S\u00A0]+$/.test(segment.text));
+        const stretch = slack / spaces.reduce((sum, segment) => sum + segment.text.length, 0);
+        spaces.forEach(segment => {
+          segment.width += stretch * segment.text.length;
+        });
+        if (spaces.length > 0) lineWidth = paragraph.width;
+      } else if (paragraph && paragraph.align === 'center') {
+        lineX += slack / 2;
+      }
+
+      const lineLeft = rtl ? mirrorX(lineX, lineWidth) : lineX;
+      const lineRight = lineLeft + lineWidth;
+      const linkSpans = [];
+
+      let segmentX = lineLeft;
+      visualOrder(segments).forEach(segment => {
+        segment.x = segmentX;
+        segmentX += segment.width;
+      });
+
+      // Recorded in logical order, so extractors read the ghost markers where they belong
+      segments.forEach(segment => {
+        const { run } = segment.piece;
+        const backwards = segment.level % 2 === 1;
+        const segmentEnd = segment.x + segment.width;
+        const textEnd = backwards ? segment.x : segmentEnd;
+        useFace(runFace(run, baseRole));
+
+        // Ghost markdown markers (**, *, `, [](url)), over the start of the text
+        if (ghost.inline && segment.first && run.ghostBefore) {
+          const ghostX = backwards ? segmentEnd - textWidth(run.ghostBefore) : segment.x;
+          placeGhost(run.ghostBefore, ghostX, lineY);
+        }
+
+        const extra = { ...(run.url ? { url: run.url } : {}), ...(segment.piece.hyphen ? { hyphen: true } : {}) };
+        placeRun(segment.text, segment.x, lineY, run.url ? linkColor : color, extra, segment.level);
+
+        // Consecutive pieces of one link share an annotation
+        if (run.url) {
+          const span = linkSpans[linkSpans.length - 1];
+          if (span && span.url === run.url && span.end === segment.x) span.end = segmentEnd;
+          else if (span && span.url === run.url && span.start === segmentEnd) span.start = segment.x;
+          else linkSpans.push({ url: run.url, start: segment.x, end: segmentEnd });
+        }
+
+        // Invisible closing markers end where the text ends, so extractors don't read them over the
+        // next word; painted ones start there, or they would cover the text
+        if (ghost.inline && segment.last && run.ghostAfter) {
+          const ghostWidth = textWidth(run.ghostAfter);
+          let ghostX;
+          if (ghost.mode === 'invisible') {
+            ghostX = backwards ? Math.min(lineRight - ghostWidth, textEnd) : Math.max(lineLeft, textEnd - ghostWidth);
+          } else {
+            ghostX = backwards ? textEnd - ghostWidth : textEnd;
+          }
+          placeGhost(run.ghostAfter, ghostX, lineY);
+        }
+      });
+
+      // Clickable link annotations over the visible text
+      linkSpans.forEach(span => {
+        lineAt(lineY).links.push({
+          x: span.start, y: lineY - textHeight * ASCENT, width: span.end - span.start, height: textHeight, url: span.url,
+        });
+      });
+    });
+  }
+
+  // Helper: Draw inline markdown wrapped to maxWidth on the current page
+  // Returns the number of lines drawn, starting at the current y
+  function drawRichText(text, x, maxWidth, fontSize, lineGap, color, baseRole = 'body') {
+    const lines = layoutRichText(text, maxWidth, fontSize, baseRole);
+    drawRichLines(lines, x, fontSize, lineGap, color, baseRole);
+    return lines.length;
+  }
+
+  // Helper: New page with its background (terminal theme) and tinted column backgrounds
+  function addPage() {
+    pages.push({ number: pages.length + 1, blocks: [] });
+
+    const shapes = [{ type: 'rect', x: 0, y: 0, width: pageWidth, height: pageHeight, color: bg }];
+    columns.forEach(column => {
+      if (!column.background) return;
+      shapes.push({ type: 'rect', x: column.fillLeft, y: 0, width: column.fillRight - column.fillLeft, height: pageHeight, color: column.background });
+    });
+    pages[pages.length - 1].blocks.push({ type: 'background', section: null, page: pages.length, lines: [], shapes });
+  }
+
+  // Helper: Move the flow to the top of a page, leaving room for its running header and footer
+  function enterPage(number) {
+    page = number;
+    top = margin + slotReserve(running.header, page);
+    bottom = pageHeight - margin - slotReserve(running.footer, page);
+    y = top;
+  }
+
+  // Helper: Continue on the next page (another column may already have created it)
+  function addNewPage() {
+    if (page >= pages.length) addPage();
+    enterPage(page + 1);
+  }
+
+  // Helper: Running header and footer text, placed once the page count is known
+  function drawRunningSlots() {
+    const values = templateValues(formData, options.date);
+    sectionIndex = null;
+    left = margin; // Slots mirror across the page, not a column
+    right = pageWidth - margin;
+
+    pages.forEach(({ number }) => {
+      page = number;
+      [['pageHeader', running.header, margin], ['pageFooter', running.footer, pageHeight - margin]].forEach(([type, slot, slotY]) => {
+        if (!slotShowsOn(slot, number)) return;
+
+        const text = fillTemplate(slot.text, { ...values, page: number, pages: pages.length });
+        doc.setFontSize(slot.fontSize);
+        setRoleFont(slot.role);
+        const width = textWidth(text);
+
+        let slotX = margin;
+        if (slot.align === 'center') slotX = (pageWidth - width) / 2;
+        else if (slot.align === 'right') slotX = pageWidth - margin - width;
+
+        beginBlock(type);
+        addText(text, slotX, slotY, slot.color);
+      });
+    });
+  }
+
+  // Helper: Start a new page unless requiredSpace fits below y
+  // Never breaks at the top of a page, where more room can't be had
+  function checkPageOverflow(requiredSpace) {
+    if (y > top && y + requiredSpace > bottom) {
+      addNewPage();
+      return true;
+    }
+    return false;
+  }
+
+  // Helper: Place wrapped lines, splitting them across pages within the orphan/widow limits
+  // drawSlice(lines, isFirst) draws a run of lines from the current y
+  function flowLines(lines, lineGap, drawSlice) {
+    let start = 0;
+    while (start < lines.length) {
+      const remaining = lines.length - start;
+      const fit = linesThatFit(y, bottom, lineGap);
+      let count = splitLines(remaining, fit, pagination);
+
+      if (count === 0 && y <= top) {
+        count = Math.max(1, Math.min(remaining, fit)); // Taller than a page: break anyway
+      }
+      if (count === 0) {
+        addNewPage();
+        continue;
+      }
+
+      drawSlice(lines.slice(start, start + count), start === 0);
+      y += count * lineGap;
+      start += count;
+      if (start < lines.length) addNewPage();
+    }
+  }
+
+  // === MEASUREMENT (how far y moves, used to keep headings with what follows) ===
+  const liGap = lineHeight(theme, theme.fonts.li, theme.lineHeights.li);
+  const titleAdvance = px(theme, theme.spacing.h2MarginTop) + pt(theme, theme.fonts.h2) + px(theme, theme.spacing.h2MarginBottom);
+  const headingAdvance = px(theme, theme.spacing.h3MarginTop) + pt(theme, theme.fonts.h3) + px(theme, theme.spacing.jobHeaderMarginBottom);
+  const metaAdvance = pt(theme, theme.fonts.subHeader) + px(theme, theme.spacing.jobHeaderMarginBottom);
+
+  // Helper: Wrapped lines of a bullet in the current column
+  function bulletLines(text) {
+    return layoutParagraph(text, right - left - decorations.bullet.indent, theme.fonts.li);
+  }
+
+  // Helper: Space down to the last bullet line a heading keeps with it
+  function bulletsLead(bullets) {
+    if (bullets.length === 0) return 0;
+    return (keepLines(bulletLines(bullets[0]).length, pagination) - 1) * liGap;
+  }
+
+  function groupLead(group) {
+    return (group.meta || group.metaRight ? metaAdvance : 0) + bulletsLead(group.bullets);
+  }
+
+  function entryLead(entry) {
+    return (entry.heading ? headingAdvance : 0) + (entry.groups.length > 0 ? groupLead(entry.groups[0]) : 0);
+  }
+
+  // Helper: Section title with optional PNG bar, grey box and prefix
+  function drawSectionTitle(title) {
+    y += px(theme, theme.spacing.h2MarginTop);
+    beginBlock('title');
+
+    const fontSize = theme.fonts.h2;
+    const style = decorations.sectionHeader.style;
+
+    // Creative theme section bar PNG
+    if (style === 'image' && sectionBarImage) {
+      const barX = left + theme.images.sectionBarOffset;
+      const barWidth = theme.images.sectionBarWidth;
+      const barHeight = theme.images.sectionBarHeight;
+      const capHeight = pt(theme, fontSize) * CAP_HEIGHT;
+      const capCenter = y - (capHeight / 2);
+      const barY = capCenter - (barHeight / 2);
+      addShape({ type: 'image', src: theme.images.sectionBar, x: barX, y: barY, width: barWidth, height: barHeight });
+    }
+
+    // Grey bar with left border (Compact theme)
+    if (style === 'box') {
+      sectionBoxShapes(decorations.sectionHeader.box, left, y, right - left, fontSize).forEach(addShape);
+    }
+
+    doc.setFontSize(fontSize);
+    setRoleFont('heading');
+
+    // Ghost markdown
+    drawGhost(tags.title, left, y);
+
+    let sectionX = left;
+
+    // Terminal prefix: "[>] "
+    if (theme.prefixes.h2) {
+      const prefixColor = theme.colors.prefixGreen || theme.colors.heading;
+      addText(theme.prefixes.h2, sectionX, y, prefixColor);
+      sectionX += textWidth(theme.prefixes.h2);
+    }
+
+    const textX = style === 'box' ? sectionX + decorations.sectionHeader.box.textOffset : sectionX;
+    const textColor = decorations.sectionHeader.color || theme.colors.heading;
+
+    addText(applyTextTransform(title, decorations.sectionHeader.transform), textX, y, textColor);
+
+    y += pt(theme, fontSize);
+    y += px(theme, theme.spacing.h2MarginBottom);
+  }
+
+  // Helper: Bullet marker plus wrapped bullet text
+  function drawBullet(text) {
+    const bullet = decorations.bullet;
+    const bulletColor = bullet.color || theme.colors.bulletColor || theme.colors.prefixGreen || theme.colors.text;
+    beginBlock('bullet');
+
+    // Long bullets continue line by line on the next page
+    const lines = bulletLines(text);
+    const paragraph = { align: textStyle.align, width: right - left - bullet.indent, last: lines[lines.length - 1] };
+    flowLines(lines, liGap, (slice, isFirst) => {
+      if (isFirst) {
+        doc.setFontSize(theme.fonts.li);
+        setRoleFont('body');
+
+        // Ghost markdown bullet
+        drawGhost(tags.bullet, left, y);
+
+        const marker = bulletMarkerShape(bullet, left, y, bulletColor);
+        if (marker) addShape(marker);
+        else addText(bullet.glyph + ' ', left + bullet.offset, y, bulletColor);
+      }
+
+      // Bullet text (inline markdown: bold, italic, code, links)
+      drawRichLines(slice, left + bullet.indent, theme.fonts.li, liGap, theme.colors.text, 'body', paragraph);
+    });
+
+    y += px(theme, theme.spacing.liMarginBottom);
+  }
+
+  // Helper: Skill name between its ghost tags, so extracted lines read "- TypeScript (Expert)"
+  // The bullet tag sits at x like a bullet marker, the name after it
+  function drawSkillName(item, x) {
+    doc.setFontSize(theme.fonts.li);
+    setRoleFont('body');
+
+    const label = skillLabel(item, skills.levels);
+    const nameX = x + textWidth(tags.bullet);
+    drawGhost(tags.bullet, x, y);
+    addText(item.name, nameX, y, theme.colors.text);
+    if (label) drawGhost(` (${label})`, nameX + textWidth(item.name), y);
+  }
+
+  // Helper: Skill names with dot or bar ratings in `columns` columns, filled top to bottom a page at a time
+  // Extractors join text on one baseline into one line, so cells are drawn a column at a time and a
+  // page's cells take two rows at least: each skill then reads as a line of its own, in order
+  function drawSkillRatings(items) {
+    const { columns: count, columnGap } = skills;
+    const cellWidth = (right - left - (count - 1) * columnGap) / count;
+    const rise = pt(theme, theme.fonts.li) * CAP_HEIGHT / 2; // Ratings centre on the names' capitals
+    const rowHeight = liGap + px(theme, theme.spacing.liMarginBottom);
+
+    let next = 0;
+    while (next < items.length) {
+      checkPageOverflow(0);
+      const remaining = items.length - next;
+      const rows = Math.max(Math.ceil(remaining / count), Math.min(remaining, 2));
+      const fit = y > bottom ? 0 : Math.floor((bottom - y) / rowHeight) + 1;
+      if (fit < Math.min(rows, 2) && y > top) {
+        addNewPage();
+        continue;
+      }
+
+      const depth = Math.max(Math.min(rows, fit), 1);
+      const share = items.slice(next, next + depth * count);
+      const firstY = y;
+      share.forEach((item, i) => {
+        const cellX = left + Math.floor(i / depth) * (cellWidth + columnGap);
+        y = firstY + (i % depth) * rowHeight;
+        beginBlock('skill');
+        drawSkillName(item, cellX);
+
+        const fraction = skillFraction(item);
+        if (fraction !== null) ratingShapes(skills, fraction, cellX + cellWidth, y - rise).forEach(addShape);
+      });
+      y = firstY + depth * rowHeight;
+      next += share.length;
+    }
+  }
+
+  // Helper: Skill names as pill-shaped tags, wrapping into rows
+  function drawSkillTags(items) {
+    const size = pt(theme, theme.fonts.li);
+    const padding = skills.tagPadding;
+    const height = size + padding; // Half the padding above and below
+    const rise = size * CAP_HEIGHT / 2;
+    const columnGhost = ghostColor;
+    ghostColor = skills.trackColor; // Ghost tags sit on the tags ('color' mode)
+
+    let tagX = left;
+    y += padding / 2; // Room for the first row's top padding
+    checkPageOverflow(0);
+    items.forEach(item => {
+      doc.setFontSize(theme.fonts.li);
+      setRoleFont('body');
+      const width = textWidth(item.name) + padding * 2;
+      if (tagX > left && tagX + width > right) {
+        y += height + skills.tagGap;
+        tagX = left;
+        checkPageOverflow(0);
+      }
+
+      beginBlock('skill');
+      addShape({ type: 'rect', x: tagX, y: y - rise - height / 2, width, height, radius: height / 2, color: skills.trackColor });
+      drawSkillName(item, tagX + padding - textWidth(tags.bullet)); // Bullet tag in the padding
+      tagX += width + skills.tagGap;
+    });
+    y += height + skills.tagGap;
+    ghostColor = columnGhost;
+  }
+
+  // Helper: Right-aligned period or date, its ghost tag just before it so extracted lines read "title — period"
+  function drawRightText(text) {
+    const textX = right - textWidth(text);
+    drawGhost(tags.right, textX - textWidth(tags.right), y);
+    addText(text, textX, y, theme.colors.role);
+  }
+
+  // Helper: Entry heading (company, school, project...) with optional right-aligned date
+  function drawEntryHeading(text, rightText) {
+    y += px(theme, theme.spacing.h3MarginTop);
+    beginBlock('heading');
+
+    doc.setFontSize(theme.fonts.h3);
+    setRoleFont('heading');
+
+    drawGhost(tags.heading, left, y);
+
+    let headingX = left;
+
+    // Terminal prefix: "|-- "
+    if (theme.prefixes.h3) {
+      const prefixColor = theme.colors.prefixGray || theme.colors.role;
+      addText(theme.prefixes.h3, headingX, y, prefixColor);
+      headingX += textWidth(theme.prefixes.h3);
+    }
+
+    addText(text, headingX, y, theme.colors.text);
+
+    if (rightText) {
+      doc.setFontSize(theme.fonts.subHeader);
+      setRoleFont('meta');
+      drawRightText(rightText);
+    }
+
+    y += pt(theme, theme.fonts.h3);
+    y += px(theme, theme.spacing.jobHeaderMarginBottom);
+  }
+
+  // Helper: Meta line (role title, degree...) with right-aligned period
+  function drawMetaLine(text, rightText) {
+    beginBlock('meta');
+    doc.setFontSize(theme.fonts.subHeader);
+    setRoleFont('meta');
+
+    drawGhost(tags.meta, left, y);
+
+    let metaX = left;
+
+    // Terminal prefix: "// "
+    if (theme.prefixes.jobMeta) {
+      const prefixColor = theme.colors.prefixGray || theme.colors.role;
+      addText(theme.prefixes.jobMeta, metaX, y, prefixColor);
+      metaX += textWidth(theme.prefixes.jobMeta);
+    }
+
+    // Title (left-aligned)
+    if (text) addText(text, metaX, y, theme.colors.role);
+
+    // Period (right-aligned on SAME LINE)
+    if (rightText) drawRightText(rightText);
+
+    y += pt(theme, theme.fonts.subHeader);
+    y += px(theme, theme.spacing.jobHeaderMarginBottom);
+  }
+
+  // === RENDER SECTIONS IN ORDER ===
+  function renderSection(section) {
+    tags = ghost.tagsFor(section);
+    sectionIndex = originalIndex(formData, section);
+
+    if (section.type === 'header') {
+      // === HEADER SECTION ===
+      const header = decorations.header;
+      const { photo } = header;
+      const photoSrc = options.photo !== false && section.content.photo ? photoKey(section.content.photo) : null;
+      const photoData = photoSrc && images[photoSrc];
+      const photoTop = y - pt(theme, theme.fonts.h1) * CAP_HEIGHT; // Level with the top of the name's capitals
+      const beside = photoData && photo.position !== 'top';
+      const columnLeft = left;
+      const columnRight = right;
+
+      // Header photo: above the name, or beside it with the name and contact lines in the room left
+      if (photoData) {
+        const { width: imageWidth, height: imageHeight } = doc.getImageProperties(photoData);
+        beginBlock('photo');
+        if (beside) {
+          // 'left' is the start side; the shape goes on the page as placed, the text area shrinks
+          const onLeft = (photo.position === 'left') !== rtl;
+          const photoX = onLeft ? left : right - photo.size;
+          target().shapes.push(photoShape(photo, photoSrc, photoX, photoTop, imageWidth, imageHeight));
+          if (onLeft) left += photo.size + photo.gap;
+          else right -= photo.size + photo.gap;
+        } else {
+          const photoX = { left, center: (left + right - photo.size) / 2, right: right - photo.size }[header.align];
+          addShape(photoShape(photo, photoSrc, photoX, photoTop, imageWidth, imageHeight));
+          y += photo.size + photo.gap;
+        }
+      }
+
+      beginBlock('name');
+      doc.setFontSize(theme.fonts.h1);
+      setRoleFont('name');
+
+      // Ghost markdown
+      drawGhost(tags.name, left, y);
+
+      let nameX = left;
+
+      // Terminal prefix: "$ whoami > "
+      if (theme.prefixes.h1) {
+        const prefixColor = theme.colors.prefixGreen || theme.colors.heading;
+        doc.setFontSize(10); // Smaller for prefix
+        addText(theme.prefixes.h1, nameX, y, prefixColor);
+        const prefixWidth = textWidth(theme.prefixes.h1);
+        nameX += prefixWidth;
+        doc.setFontSize(theme.fonts.h1); // Back to h1 size
+      }
+
+      // Name (aligned and transformed per theme.header)
+      const nameText = applyTextTransform(section.content.name, header.transform);
+      const nameWidth = textWidth(nameText);
+      if (header.align === 'center') {
+        nameX = (left + right - nameWidth) / 2;
+      } else if (header.align === 'right') {
+        nameX = right - nameWidth;
+      }
+      addText(nameText, nameX, y, theme.colors.name);
+
+      y += pt(theme, theme.fonts.h1);
+      y += px(theme, theme.spacing.h1MarginBottom);
+
+      // Contact info
+      if (section.content.contact && section.content.contact.length > 0) {
+        beginBlock('contact');
+        doc.setFontSize(theme.fonts.subHeader);
+        setRoleFont('meta');
+
+        // Ghost markdown
+        drawGhost(tags.contact, left, y);
+
+        let contactX = left;
+
+        // Terminal prefix: "# "
+        if (theme.prefixes.subHeader) {
+          const prefixColor = theme.colors.prefixGreen || theme.colors.heading;
+          addText(theme.prefixes.subHeader, contactX, y, prefixColor);
+          const prefixWidth = textWidth(theme.prefixes.subHeader);
+          contactX += prefixWidth;
+        }
+
+        // Contact text: legacy string or structured items rendered as links
+        const contactText = formatContact(section.content.contact, contactStyle.separator);
+        const contactWidth = contactStyle.wrap ? right - contactX : Infinity;
+        const lineGap = lineHeight(theme, theme.fonts.subHeader, contactStyle.lineHeight);
+        const lineCount = drawRichText(contactText, contactX, contactWidth, theme.fonts.subHeader, lineGap, theme.colors.role, 'meta');
+
+        y += pt(theme, theme.fonts.subHeader);
+        y += (lineCount - 1) * lineGap;
+
+        // Creative theme header bar PNG (placed after contact)
+        if (headerBarImage) {
+          const barWidth = right - left;
+          const barHeight = theme.images.headerBarHeight;
+          beginBlock('headerBar');
+          addShape({ type: 'image', src: theme.images.headerBar, x: left, y, width: barWidth, height: barHeight });
+          y += barHeight + 2; // Add spacing after bar
+        }
+
+        y += px(theme, theme.spacing.subHeaderMarginBottom);
+      }
+
+      // Back to the full column, below the photo
+      if (beside) {
+        left = columnLeft;
+        right = columnRight;
+        y = Math.max(y, photoTop + photo.size + px(theme, theme.spacing.subHeaderMarginBottom));
+      }
+
+      // Horizontal rule separating the header from the body
+      if (header.rule) {
+        beginBlock('rule');
+        addShape({ type: 'line', x1: left, y1: y, x2: right, y2: y, lineWidth: header.rule.thickness, color: header.rule.color });
+        y += header.rule.gap;
+      }
+
+    } else if (section.type === 'summary') {
+      // === SUMMARY SECTION ===
+      const lineGap = lineHeight(theme, theme.fonts.body, theme.lineHeights.body);
+      const lines = layoutParagraph(section.content.text, right - left, theme.fonts.body);
+      const paragraph = { align: textStyle.align, width: right - left, last: lines[lines.length - 1] };
+      beginBlock('summary');
+      flowLines(lines, lineGap, slice => drawRichLines(slice, left, theme.fonts.body, lineGap, theme.colors.text, 'body', paragraph));
+      y += px(theme, theme.spacing.h2MarginTop);
+
+    } else if (section.type === 'section' || section.type === 'languages') {
+      // === LIST SECTION (Skills, Languages, etc.) ===
+      const bullets = sectionBullets(section);
+      checkPageOverflow(titleAdvance + bulletsLead(bullets)); // Title stays with the first lines
+      drawSectionTitle(section.title);
+
+      bullets.forEach(bullet => drawBullet(bullet));
+
+    } else if (section.type === 'skills') {
+      // === SKILLS SECTION (dot ratings, bars or tags, grouped by category) ===
+      const groups = skillGroups(section);
+      checkPageOverflow(titleAdvance + (groups.length > 0 && groups[0].category ? headingAdvance : 0));
+      drawSectionTitle(section.title);
+
+      groups.forEach(group => {
+        if (group.category) {
+          checkPageOverflow(headingAdvance);
+          drawEntryHeading(group.category);
+        }
+
+        if (skills.style === 'tags') drawSkillTags(group.items);
+        else drawSkillRatings(group.items);
+
+        if (group.category) y += px(theme, theme.spacing.ulMarginBottom);
+      });
+
+    } else if (isEntrySection(section.type)) {
+      // === ENTRY SECTION (Experience, Education, Projects, Certifications, Publications) ===
+      const entries = sectionEntries(section);
+      checkPageOverflow(titleAdvance + (entries.length > 0 ? entryLead(entries[0]) : 0));
+      drawSectionTitle(section.title);
+
+      entries.forEach(entry => {
+        checkPageOverflow(entryLead(entry)); // Heading and first role stay with their first lines
+
+        // Render heading once (company, school, project...)
+        if (entry.heading) {
+          drawEntryHeading(entry.heading, entry.headingRight);
+        }
+
+        // Render each group within this entry (roles within a company)
+        entry.groups.forEach(group => {
+          checkPageOverflow(groupLead(group));
+
+          if (group.meta || group.metaRight) {
+            drawMetaLine(group.meta, group.metaRight);
+          }
+
+          group.bullets.forEach(bullet => drawBullet(bullet));
+
+          y += px(theme, theme.spacing.ulMarginBottom);
+        }); // End entry.groups.forEach
+
+        y += px(theme, theme.spacing.sectionMarginBottom) / 2;
+      }); // End entries.forEach
+    }
+  }
+
+  // APPLY PAGE BACKGROUND (terminal theme, sidebar tint)
+  addPage();
+
+  // Each column flows from the top of page 1 with its own page breaks
+  assignSections(columns, formData.sections).forEach(({ column, sections }) => {
+    left = column.left;
+    right = column.right;
+    ghostColor = column.background || bg;
+    enterPage(1);
+
+    sections.forEach(renderSection);
+  });
+
+  drawRunningSlots();
+
+  return {
+    width: pageWidth,
+    height: pageHeight,
+    direction,
+    ghostMode: ghost.mode,
+    missingGlyphs: [...missing.values()].map(entry => ({ ...entry, sections: [...entry.sections] })),
+    pages: pages.map(({ number, blocks }) => ({
+      number,
+      blocks: blocks.filter(item => item.lines.length > 0 || item.shapes.length > 0).map(measureBlock),
+    })),
+  };
+}
+
+/**
+ * Lay out a resume without producing a PDF
+ * Takes generatePDF's options; fonts are loaded to measure text, so jsPDF and assets are needed too.
+ * @param {Object} themeInput - Theme object (see THEME_SCHEMA)
+ * @param {Object} data - Form data with sections array (see RESUME_SCHEMA)
+ * @param {Object} [options] - jsPDF, assets, format, width, height, orientation, validate, ghostTags, date, direction, photo
+ * @returns {Promise<Object>} Layout tree: { width, height, direction, ghostMode, missingGlyphs, pages: [{ number, blocks }] }
+ */
+export async function layout(themeInput, data, options = {}) {
+  const { validate = 'lenient' } = options;
+  if (!VALIDATION_MODES.includes(validate)) {
+    throw new Error(`Unknown validation mode '${validate}' (expected ${VALIDATION_MODES.join(', ')})`);
+  }
+  const theme = checkTheme(themeInput, validate);
+  const formData = checkFormData(data, validate);
+
+  const pageSize = resolvePageSize(theme, options);
+  const context = await createLayoutContext(theme, formData, options, {
+    jsPDF: resolveJsPDF(options),
+    assets: options.assets || createFetchLoader(),
+    pageSize,
+  });
+  return layoutDocument(theme, formData, options, context, pageSize);
+}
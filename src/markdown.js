@@ -0,0 +1,459 @@
+/**
+ * jsPDF++ - Markdown resumes
+ *
+ * The default ghost tags embed a small markdown dialect in every PDF:
+ *
+ *   # Jane Developer
+ *   **Contact:** [jane@example.com](mailto:jane@example.com) | Lisbon
+ *
+ *   Summary paragraph with **inline** markdown.
+ *
+ *   ## Experience
+ *   ### TechCorp
+ *   #### Senior Engineer — 2020 - Present
+ *   - Built microservices
+ *
+ * toMarkdown() writes formData in that dialect and fromMarkdown() reads it
+ * back, whether typed by hand or extracted from a rendered PDF. Extractors
+ * often put a ghost tag on its own line ("## " then "EXPERIENCE"), drop the
+ * space after it, or keep the visible bullet glyph; the parser accepts all
+ * three. Pass the theme to also strip its visible prefixes ("[>] ", "|-- ").
+ *
+ * Entry sections come back as experience (### company, #### role), or as
+ * certifications when headings carry the right-aligned date. Both render the
+ * same lines as the education, projects and publications they came from.
+ * A section titled like "Skills" whose bullets read "TypeScript (Expert)"
+ * comes back as a skills section, ### headings as the items' categories and
+ * level names (theme.skills.levels, or the defaults) as levels 1 to 5.
+ */
+
+import { DEFAULT_GHOST_TAGS } from './ghost.js';
+import { isEntrySection, sectionEntries, sectionBullets, formatContact, contactLabel } from './sections.js';
+import { DEFAULT_SKILLS, skillGroups, formatSkill } from './skills.js';
+
+// Glyphs themes draw before bullets, dropped when an extractor keeps them
+const BULLET_GLYPHS = ['•', '◦', '▪', '▫', '▸', '▹', '►', '‣', '●', '○', '■', '□', '★', '✦', '✓', '→', '>', '–'];
+
+const CONTACT_PATTERN = /^\*\*Contact:\*\*\s*(.*)$/i;
+const HEADING_PATTERN = /^(#{1,4})(?!#)\s*(.*)$/;
+const BULLET_PATTERN = /^[-+*](?:\s+(.*))?$/;
+const TIGHT_BULLET_PATTERN = /^[-+*](?![-+*\s\d])(.+)$/; // "-React" but not "--", "**bold**", "+351" or "-5%"
+const LINK_PATTERN = /^(?:(\S+)\s+)?\[(.+)\]\((\S+)\)$/;
+
+const HEADING_KINDS = ['name', 'title', 'heading', 'meta'];
+
+// Helper: Collapse whitespace (including non-breaking spaces)
+function squash(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// Helper: Undo escapeInline()
+function unescapeInline(text) {
+  return text.replace(/\\([\\`*_[\]()])/g, '$1');
+}
+
+// Helper: Whether text ends inside an inline marker pair ("with **", "see [")
+function opensInline(text) {
+  const plain = text.replace(/\\./g, '');
+  const strong = (plain.match(/\*\*/g) || []).length;
+  const emphasis = (plain.replace(/\*\*/g, '').match(/\*/g) || []).length;
+  const code = (plain.match(/`/g) || []).length;
+  return strong % 2 === 1 || emphasis % 2 === 1 || code % 2 === 1 || plain.lastIndexOf('[') > plain.lastIndexOf(']');
+}
+
+// Helper: Join a wrapped line, or a line an extractor split at an inline ghost tag, onto the text before it
+function joinLine(text, line) {
+  if (!text) return line;
+  if (/\s$/.test(text) || /^\s/.test(line)) return text + line;
+  const atMarker = /(\*|`|\[)$/.test(text) || /^(\*|`|\]\()/.test(line);
+  return atMarker && opensInline(text) ? text + line : `${text} ${line}`;
+}
+
+// Helper: Text with a prefix removed from its start
+function stripPrefix(text, prefix) {
+  const trimmed = prefix ? prefix.trim() : '';
+  return trimmed && text.startsWith(trimmed) ? text.slice(trimmed.length).trim() : text;
+}
+
+/**
+ * Parse header contact back into structured items
+ * Contact without links stays a plain string, like the legacy format.
+ * @param {string} text - "[label](href) | Location | ..."
+ * @returns {string|Object[]}
+ */
+function parseContact(text) {
+  const parts = squash(text).split(/\s*\|\s*/).filter(Boolean);
+  if (!parts.some(part => LINK_PATTERN.test(part))) return squash(text);
+
+  return parts.map(part => {
+    const match = LINK_PATTERN.exec(part);
+    if (!match) return { type: 'location', value: unescapeInline(part) };
+
+    const [, icon, rawLabel, href] = match;
+    const label = unescapeInline(rawLabel);
+    let item;
+    if (/^mailto:/i.test(href)) {
+      item = { type: 'email', value: href.replace(/^mailto:/i, '') };
+    } else if (/^tel:/i.test(href)) {
+      item = { type: 'phone', value: label };
+    } else {
+      item = { type: 'url', value: href };
+    }
+    if (contactLabel(item) !== label) item.label = label;
+    if (icon) item.icon = unescapeInline(icon);
+    return item;
+  });
+}
+
+/**
+ * Write formData as markdown, line for line what the default ghost tags embed
+ * @param {Object} formData
+ * @returns {string}
+ */
+export function toMarkdown(formData) {
+  const tags = DEFAULT_GHOST_TAGS;
+  const blocks = [];
+
+  // "#### Senior Engineer — 2020 - Present"
+  function line(tag, text, rightText) {
+    return `${tag}${text || ''}${rightText ? `${tags.right}${rightText}` : ''}`;
+  }
+
+  formData.sections.forEach(section => {
+    if (section.type === 'header') {
+      const lines = [line(tags.name, section.content.name)];
+      const { contact } = section.content;
+      if (contact && contact.length > 0) {
+        lines.push(line(tags.contact, squash(formatContact(contact))));
+      }
+      blocks.push(lines);
+
+    } else if (section.type === 'summary') {
+      blocks.push([section.content.text]);
+
+    } else if (section.type === 'section' || section.type === 'languages') {
+      blocks.push([line(tags.title, section.title), ...sectionBullets(section).map(bullet => line(tags.bullet, bullet))]);
+
+    } else if (section.type === 'skills') {
+      const lines = [line(tags.title, section.title)];
+      skillGroups(section).forEach(group => {
+        if (group.category) lines.push(line(tags.heading, group.category));
+        group.items.forEach(item => lines.push(line(tags.bullet, formatSkill(item))));
+      });
+      blocks.push(lines);
+
+    } else if (isEntrySection(section.type)) {
+      const lines = [line(tags.title, section.title)];
+      sectionEntries(section).forEach(entry => {
+        if (entry.heading) lines.push(line(tags.heading, entry.heading, entry.headingRight));
+        entry.groups.forEach(group => {
+          if (group.meta || group.metaRight) lines.push(line(tags.meta, group.meta, group.metaRight));
+          group.bullets.forEach(bullet => lines.push(line(tags.bullet, bullet)));
+        });
+      });
+      blocks.push(lines);
+    }
+  });
+
+  return `${blocks.map(lines => lines.join('\n')).join('\n\n')}\n`;
+}
+
+/**
+ * Parse markdown in the ghost tag dialect into formData
+ * @param {string} text - Markdown, or text extracted from a rendered PDF
+ * @param {Object} [options]
+ * @param {Object} [options.theme] - Theme the PDF was rendered with; its prefixes and bullet glyph are stripped,
+ *                                  and its skills.levels read back as levels
+ * @returns {Object} formData with a sections array
+ */
+export function fromMarkdown(text, options = {}) {
+  if (typeof text !== 'string') {
+    throw new Error('fromMarkdown expects a markdown string');
+  }
+
+  const theme = options.theme || {};
+  const prefixes = theme.prefixes || {};
+  const rightTag = DEFAULT_GHOST_TAGS.right.trim();
+  const glyphs = [prefixes.bullet, theme.bullet && theme.bullet.glyph, ...BULLET_GLYPHS]
+    .filter(Boolean)
+    .map(glyph => glyph.trim());
+  const themePrefixes = {
+    name: prefixes.h1,
+    contact: prefixes.subHeader,
+    title: prefixes.h2,
+    heading: prefixes.h3,
+    meta: prefixes.jobMeta,
+  };
+
+  // Helper: Drop a visible bullet glyph extractors keep after the "- " tag
+  function stripGlyph(content) {
+    const glyph = glyphs.find(candidate => content === candidate || content.startsWith(`${candidate} `));
+    return glyph ? content.slice(glyph.length).trim() : content;
+  }
+
+  // Helper: Classify one trimmed line as { kind, text }
+  function classify(trimmed) {
+    const contact = CONTACT_PATTERN.exec(trimmed);
+    if (contact) return { kind: 'contact', text: contact[1] };
+
+    const heading = HEADING_PATTERN.exec(trimmed);
+    if (heading) return { kind: HEADING_KINDS[heading[1].length - 1], text: heading[2] };
+
+    const bullet = BULLET_PATTERN.exec(trimmed);
+    if (bullet) return { kind: 'bullet', text: stripGlyph(bullet[1] || '') };
+
+    // The space after the tag dropped, unless it's "*emphasis*"
+    const tight = TIGHT_BULLET_PATTERN.exec(trimmed);
+    if (tight && !(trimmed[0] === '*' && tight[1].includes('*'))) return { kind: 'bullet', text: stripGlyph(tight[1]) };
+
+    return { kind: 'text', text: trimmed };
+  }
+
+  // Blocks in document order: { kind, text, right? }
+  const blocks = [];
+  let pending = null; // A tag whose text is on the next line
+  let gap = false;    // Blank line since the last block
+
+  text.split(/\r?\n/).forEach(raw => {
+    // A form feed (page break) doesn't end a paragraph or a wrapped bullet
+    const pageBreak = raw.includes('\f');
+    if (pageBreak) gap = false;
+
+    const lineText = raw.replace(/\f/g, '').replace(/\u00A0/g, ' ');
+    const trimmed = lineText.trim();
+    if (!trimmed) {
+      if (!pageBreak) gap = true;
+      return;
+    }
+
+    // Extractors sometimes break a block mid-sentence; a new paragraph doesn't start in lowercase
+    if (/^[a-z]/.test(trimmed)) gap = false;
+
+    const last = blocks[blocks.length - 1];
+    let block = classify(trimmed);
+
+    // The text of a tag that sits on a line of its own, maybe after the theme's visible prefix
+    if (pending) {
+      const rest = stripPrefix(trimmed, themePrefixes[pending.kind]);
+      if (rest === '') return;
+      if (rest !== trimmed || block.kind === 'text') {
+        block = { kind: pending.kind, text: pending.kind === 'bullet' ? stripGlyph(rest) : rest };
+      }
+    }
+    pending = null;
+
+    if (block.kind !== 'text') {
+      block.text = stripPrefix(block.text, themePrefixes[block.kind]);
+      if (block.text === '' || (block.kind === 'bullet' && glyphs.includes(block.text))) {
+        pending = block;
+        return;
+      }
+    }
+
+    // "— 2020 - Present" on its own line belongs to the heading or meta line above
+    if (block.kind === 'text' && trimmed.startsWith(rightTag) && last && ['heading', 'meta'].includes(last.kind)) {
+      last.text += ` ${trimmed}`;
+      gap = false;
+      return;
+    }
+
+    // Wrapped or split continuation of the block above
+    if (block.kind === 'text' && last && !gap) {
+      const continues = last.kind === 'text' || last.kind === 'bullet'
+        || (last.kind === 'contact' && (/\|\s*$/.test(last.text) || trimmed.startsWith('|') || opensInline(last.text)));
+      if (continues) {
+        last.text = joinLine(last.text, lineText);
+        return;
+      }
+    }
+    if (block.kind === 'text' && last && last.kind === 'text' && gap) {
+      last.text = joinLine(last.text, ` ${trimmed}`);
+      gap = false;
+      return;
+    }
+
+    blocks.push(block);
+    gap = false;
+  });
+
+  // Split "Senior Engineer — 2020 - Present" at the last right tag
+  blocks.forEach(block => {
+    block.text = squash(block.text);
+    if (block.kind !== 'heading' && block.kind !== 'meta') return;
+    const index = block.text.lastIndexOf(rightTag);
+    if (index === -1) return;
+    block.right = block.text.slice(index + rightTag.length).trim();
+    block.text = block.text.slice(0, index).trim();
+  });
+
+  const levels = (theme.skills && theme.skills.levels) || DEFAULT_SKILLS.levels;
+  return { sections: buildSections(blocks, levels) };
+}
+
+// Helper: Assemble parsed blocks into sections
+function buildSections(blocks, levels) {
+  const sections = [];
+  const continued = new Set(); // Sections that carry on the '## ' section before them at a '### ' heading
+  let header = null;
+  let list = null;    // Current '## ' section
+  let entries = null; // Its entries, once a '### ' heading appears
+  let entry = null;
+  let group = null;
+
+  function startList(title, continues = false) {
+    list = { type: 'section', title, content: { bullets: [] } };
+    if (continues) continued.add(list);
+    entries = null;
+    entry = null;
+    group = null;
+    sections.push(list);
+  }
+
+  blocks.forEach(block => {
+    switch (block.kind) {
+      case 'name':
+        header = { type: 'header', content: { name: block.text } };
+        sections.push(header);
+        list = null;
+        break;
+
+      case 'contact':
+        if (!header) {
+          header = { type: 'header', content: { name: '' } };
+          sections.push(header);
+        }
+        header.content.contact = parseContact(block.text);
+        break;
+
+      case 'title':
+        startList(block.text);
+        break;
+
+      case 'heading':
+        if (!list || list.content.bullets.length > 0) startList(list ? list.title : undefined, Boolean(list));
+        if (!entries) {
+          entries = [];
+          list.entries = entries;
+        }
+        entry = { heading: block.text, headingRight: block.right, groups: [] };
+        entries.push(entry);
+        group = null;
+        break;
+
+      case 'meta':
+        if (!entry) {
+          if (!list) startList(undefined);
+          entries = entries || (list.entries = []);
+          entry = { heading: '', groups: [] };
+          entries.push(entry);
+        }
+        group = { meta: block.text, metaRight: block.right, bullets: [] };
+        entry.groups.push(group);
+        break;
+
+      case 'bullet':
+        if (entry) {
+          if (!group) {
+            group = { meta: '', bullets: [] };
+            entry.groups.push(group);
+          }
+          group.bullets.push(block.text);
+        } else {
+          if (!list) startList(undefined);
+          list.content.bullets.push(block.text);
+        }
+        break;
+
+      default: {
+        // Paragraph text: part of a summary at this point in the document
+        const previous = sections[sections.length - 1];
+        if (previous && previous.type === 'summary' && !list) {
+          previous.content.text = `${previous.content.text} ${block.text}`;
+        } else {
+          sections.push({ type: 'summary', content: { text: block.text } });
+        }
+        list = null;
+        entries = null;
+        entry = null;
+        group = null;
+      }
+    }
+  });
+
+  // Each '## ' section with the parts it was split into
+  const parts = sections.reduce((all, section) => {
+    if (continued.has(section)) all[all.length - 1].push(section);
+    else all.push([section]);
+    return all;
+  }, []);
+
+  return parts.flatMap(group => {
+    const items = skillItems(group, levels);
+    if (items) return [{ type: 'skills', title: group[0].title, content: { items } }];
+    return group.map(section => (section.entries ? entrySection(section) : section));
+  });
+}
+
+// Helper: Items of a skills section, or null: the title mentions skills, the ### headings have
+// no meta lines or dates, and some bullet ends in a level name ("TypeScript (Expert)").
+// Extractors read a row of tags as one bullet, "TypeScript (Expert)- React (Advanced)"
+function skillItems(group, levels) {
+  if (group[0].type !== 'section' || !/skill/i.test(group[0].title || '')) return null;
+
+  const names = levels.map(level => level.toLowerCase());
+  const items = [];
+  function add(bullet, category) {
+    const match = /^(.*\S)\s*\(([^()]+)\)$/.exec(bullet);
+    const level = match ? names.indexOf(match[2].trim().toLowerCase()) + 1 : 0;
+    items.push(withValues({ name: level ? match[1] : bullet, level: level || undefined, category: category || undefined }));
+  }
+
+  for (const section of group) {
+    const entries = section.entries || [];
+    if (entries.some(entry => entry.headingRight || entry.groups.some(part => part.meta || part.metaRight))) return null;
+    const split = bullet => bullet.split(/(?<=\))\s*-\s+|\s+-\s+/);
+    section.content.bullets.flatMap(split).forEach(bullet => add(bullet));
+    entries.forEach(entry => entry.groups.forEach(part => part.bullets.flatMap(split).forEach(bullet => add(bullet, entry.heading))));
+  }
+  return items.some(item => item.level) ? items : null;
+}
+
+// Helper: Entries as certifications (heading dates, one meta line) or experience
+function entrySection({ title, entries }) {
+  const certifications = entries.some(entry => entry.headingRight)
+    && entries.every(entry => entry.groups.length <= 1 && entry.groups.every(group => !group.metaRight));
+
+  if (certifications) {
+    return {
+      type: 'certifications',
+      title,
+      content: {
+        items: entries.map(entry => {
+          const group = entry.groups[0];
+          return withValues({
+            name: entry.heading,
+            issuer: group && group.meta,
+            date: entry.headingRight,
+            bullets: group && group.bullets.length > 0 ? group.bullets : undefined,
+          });
+        }),
+      },
+    };
+  }
+
+  return {
+    type: 'experience',
+    title,
+    content: {
+      jobs: entries.map(entry => ({
+        company: entry.heading,
+        roles: entry.groups.map(group => withValues({ title: group.meta, period: group.metaRight, bullets: group.bullets })),
+      })),
+    },
+  };
+}
+
+// Helper: Object without empty values
+function withValues(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined && value !== ''));
+}
@@ -0,0 +1,163 @@
+/**
+ * jsPDF++ - Document metadata
+ *
+ * Fills the PDF Info dictionary, an XMP packet and the document language
+ * from the resume itself, so viewers and ATS systems show a labelled document
+ * instead of "Untitled":
+ *
+ *   Title     "<name> - Resume"       (header name)
+ *   Author    "<name>"
+ *   Subject   summary text            (inline markdown stripped)
+ *   Keywords  skills bullets          ("Languages: Go, Rust" -> Go, Rust)
+ *             and skills section items
+ *
+ * Every field can be overridden through generatePDF's options.metadata.
+ */
+
+import { stripInline } from './inline.js';
+
+export const DEFAULT_CREATOR = 'jsPDF++';
+
+// Helper: First section of a type
+function findSection(formData, type) {
+  return formData.sections.find(section => section.type === type);
+}
+
+/**
+ * Keywords from the skills list: a section with id 'skills' or a title containing "skill",
+ * and the item names of 'skills' sections
+ * "Languages: JavaScript, Go" contributes JavaScript and Go.
+ * @param {Object} formData
+ * @returns {string[]} Unique keywords in document order
+ */
+export function skillKeywords(formData) {
+  const keywords = [];
+  function add(keyword) {
+    if (keyword && !keywords.includes(keyword)) keywords.push(keyword);
+  }
+
+  formData.sections.forEach(section => {
+    if (section.type === 'skills') {
+      section.content.items.forEach(item => add(item.name.trim()));
+      return;
+    }
+    if (section.type !== 'section' || !(section.id === 'skills' || /skill/i.test(section.title || ''))) return;
+
+    (section.content.bullets || []).forEach(bullet => {
+      const text = stripInline(bullet);
+      const list = text.includes(':') ? text.slice(text.indexOf(':') + 1) : text;
+      list.split(/[,;]/).forEach(keyword => add(keyword.trim()));
+    });
+  });
+  return keywords;
+}
+
+/**
+ * Document metadata derived from the resume, with overrides applied
+ * @param {Object} formData
+ * @param {Object} [overrides] - { title, author, subject, keywords (string|string[]), creator, language }
+ * @returns {{ title: string, author: string, subject: string, keywords: string[], creator: string, language: string }}
+ */
+export function resumeMetadata(formData, overrides = {}) {
+  const header = findSection(formData, 'header');
+  const summary = findSection(formData, 'summary');
+  const name = (header && header.content.name) || '';
+
+  const metadata = {
+    title: name ? `${name} - Resume` : 'Resume',
+    author: name,
+    subject: summary && summary.content.text ? stripInline(summary.content.text) : '',
+    keywords: skillKeywords(formData),
+    creator: DEFAULT_CREATOR,
+    language: formData.language || 'en',
+    ...overrides,
+  };
+
+  if (typeof metadata.keywords === 'string') {
+    metadata.keywords = metadata.keywords.split(',').map(keyword => keyword.trim()).filter(Boolean);
+  }
+  return metadata;
+}
+
+// Helper: Escape text for XML content
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build an XMP packet (Dublin Core, PDF and XMP basic schemas)
+ * @param {Object} metadata - From resumeMetadata()
+ * @param {Date} createDate
+ * @returns {string}
+ */
+export function buildXmp(metadata, createDate) {
+  const language = escapeXml(metadata.language);
+  const keywords = metadata.keywords.map(keyword => `<rdf:li>${escapeXml(keyword)}</rdf:li>`).join('');
+  const date = createDate.toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+  return [
+    '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    '<rdf:Description rdf:about=""',
+    ' xmlns:dc="http://purl.org/dc/elements/1.1/"',
+    ' xmlns:pdf="http://ns.adobe.com/pdf/1.3/"',
+    ' xmlns:xmp="http://ns.adobe.com/xap/1.0/">',
+    `<dc:format>application/pdf</dc:format>`,
+    `<dc:title><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(metadata.title)}</rdf:li></rdf:Alt></dc:title>`,
+    metadata.author ? `<dc:creator><rdf:Seq><rdf:li>${escapeXml(metadata.author)}</rdf:li></rdf:Seq></dc:creator>` : '',
+    metadata.subject ? `<dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(metadata.subject)}</rdf:li></rdf:Alt></dc:description>` : '',
+    keywords ? `<dc:subject><rdf:Bag>${keywords}</rdf:Bag></dc:subject>` : '',
+    `<dc:language><rdf:Bag><rdf:li>${language}</rdf:li></rdf:Bag></dc:language>`,
+    keywords ? `<pdf:Keywords>${escapeXml(metadata.keywords.join(', '))}</pdf:Keywords>` : '',
+    `<xmp:CreatorTool>${escapeXml(metadata.creator)}</xmp:CreatorTool>`,
+    `<xmp:CreateDate>${date}</xmp:CreateDate>`,
+    '</rdf:Description>',
+    '</rdf:RDF>',
+    '</x:xmpmeta>',
+    '<?xpacket end="w"?>',
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Helper: Embed an XMP packet as the catalog's /Metadata stream
+ * jsPDF's addMetadata() nests its argument inside its own element, so the
+ * stream is written through the same document events the plugin uses.
+ */
+function addXmpPacket(doc, xmp) {
+  const bytes = unescape(encodeURIComponent(xmp)); // UTF-8 as a binary string
+  let objectNumber = null;
+
+  doc.internal.events.subscribe('postPutResources', () => {
+    objectNumber = doc.internal.newObject();
+    doc.internal.write(`<< /Type /Metadata /Subtype /XML /Length ${bytes.length} >>`);
+    doc.internal.write('stream');
+    doc.internal.write(bytes);
+    doc.internal.write('endstream');
+    doc.internal.write('endobj');
+  });
+  doc.internal.events.subscribe('putCatalog', () => {
+    if (objectNumber) doc.internal.write(`/Metadata ${objectNumber} 0 R`);
+  });
+}
+
+/**
+ * Write metadata into a jsPDF document: Info dictionary, language and XMP
+ * @param {Object} doc - jsPDF instance
+ * @param {Object} metadata - From resumeMetadata()
+ */
+export function applyMetadata(doc, metadata) {
+  doc.setProperties({
+    title: metadata.title,
+    author: metadata.author,
+    subject: metadata.subject,
+    keywords: metadata.keywords.join(', '),
+    creator: metadata.creator,
+  });
+  doc.setLanguage(metadata.language);
+  addXmpPacket(doc, buildXmp(metadata, doc.getCreationDate('jsDate')));
+}
@@ -0,0 +1,60 @@
+/**
+ * jsPDF++ - Page size
+ * Named formats, [width, height] arrays or explicit sizes, all in mm.
+ */
+
+// Page formats in mm (portrait width x height)
+export const PAGE_FORMATS = {
+  a4: [210, 297],
+  a5: [148, 210],
+  letter: [215.9, 279.4],
+  legal: [215.9, 355.6],
+};
+
+/**
+ * Resolve page size from options, falling back to the theme's preferred page
+ * Accepts a named format, a [width, height] array or explicit width/height in mm.
+ * Named formats turn to the orientation (portrait by default). Explicit sizes
+ * are kept as given unless an orientation is set next to them.
+ * @param {Object} theme
+ * @param {Object} options - { format, width, height, orientation }
+ * @returns {{ width: number, height: number, orientation: string }}
+ */
+export function resolvePageSize(theme, options) {
+  const page = theme.page || {};
+  if (Boolean(options.width) !== Boolean(options.height)) {
+    throw new Error(`Custom page size needs both width and height in mm (got ${options.width ? 'width' : 'height'} only)`);
+  }
+
+  const source = (options.format || options.width) ? options : page;
+  const requested = options.orientation || (source === page ? page.orientation : undefined);
+  if (requested && requested !== 'portrait' && requested !== 'landscape') {
+    throw new Error(`Unknown orientation '${requested}' (expected portrait or landscape)`);
+  }
+
+  let size;
+  let named = false;
+  if (source.width && source.height) {
+    size = [source.width, source.height];
+  } else if (Array.isArray(source.format)) {
+    size = source.format;
+  } else {
+    const format = String(source.format || 'a4').toLowerCase();
+    size = PAGE_FORMATS[format];
+    if (!size) {
+      throw new Error(`Unknown page format '${source.format}' (expected ${Object.keys(PAGE_FORMATS).join(', ')} or [width, height] in mm)`);
+    }
+    named = true;
+  }
+
+  const orientation = requested || (named ? page.orientation || 'portrait' : null);
+  if (!orientation) {
+    return { width: size[0], height: size[1], orientation: size[0] > size[1] ? 'landscape' : 'portrait' };
+  }
+
+  const short = Math.min(size[0], size[1]);
+  const long = Math.max(size[0], size[1]);
+  return orientation === 'landscape'
+    ? { width: long, height: short, orientation }
+    : { width: short, height: long, orientation };
+}
@@ -0,0 +1,76 @@
+/**
+ * jsPDF++ - Pagination rules
+ *
+ * Blocks are measured before they are drawn, so page breaks follow real
+ * heights instead of fixed guesses:
+ *
+ *   pagination: { keepWithNext: 2, orphans: 2, widows: 2 },
+ *
+ * - keepWithNext: section titles, entry headings (company, school...) and meta
+ *   lines (role, degree...) move to the next page unless at least this many
+ *   lines of the following bullet or paragraph fit below them
+ * - orphans: fewest lines of a paragraph or bullet left at the bottom of a page
+ * - widows: fewest lines carried over to the top of the next page
+ *
+ * A block that can't be split within these limits moves to the next page whole.
+ */
+
+export const DEFAULT_PAGINATION = {
+  keepWithNext: 2,
+  orphans: 2,
+  widows: 2,
+};
+
+/**
+ * Resolve a theme's pagination settings, filling in defaults
+ * @param {Object} theme
+ * @returns {{ keepWithNext: number, orphans: number, widows: number }}
+ */
+export function resolvePagination(theme) {
+  const pagination = { ...DEFAULT_PAGINATION, ...theme.pagination };
+
+  Object.keys(DEFAULT_PAGINATION).forEach(key => {
+    const value = pagination[key];
+    if (!Number.isInteger(value) || value < 1) {
+      throw new Error(`Invalid pagination.${key} '${value}' (expected a whole number of lines, at least 1)`);
+    }
+  });
+
+  return pagination;
+}
+
+/**
+ * Number of line baselines that fit between y and the bottom limit
+ * @param {number} y - Baseline of the first line (mm)
+ * @param {number} bottom - Lowest allowed baseline (mm)
+ * @param {number} lineGap - Distance between baselines (mm)
+ * @returns {number}
+ */
+export function linesThatFit(y, bottom, lineGap) {
+  if (y > bottom) return 0;
+  return Math.floor((bottom - y) / lineGap + 1e-6) + 1;
+}
+
+/**
+ * How many lines of a block go on the current page
+ * @param {number} total - Lines in the block
+ * @param {number} fit - Lines with room on the current page
+ * @param {Object} pagination - Resolved pagination settings
+ * @returns {number} total when everything fits, 0 to move the whole block
+ */
+export function splitLines(total, fit, pagination) {
+  if (fit >= total) return total;
+
+  const count = Math.min(fit, total - pagination.widows);
+  return count >= pagination.orphans ? count : 0;
+}
+
+/**
+ * Lines of the following block a heading must stay with
+ * @param {number} total - Lines in the following block
+ * @param {Object} pagination
+ * @returns {number}
+ */
+export function keepLines(total, pagination) {
+  return Math.min(total, Math.max(pagination.keepWithNext, pagination.orphans));
+}
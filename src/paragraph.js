@@ -0,0 +1,66 @@
+/**
+ * jsPDF++ - Paragraph text
+ *
+ * theme.text sets how summary and bullet text wraps:
+ *
+ *   text: { align: 'justify', hyphenate: true, minWordLength: 6, breakWords: true },
+ *
+ * - align: 'left' (ragged edge), 'justify' (spaces stretch so every line but a
+ *   paragraph's last fills the column) or 'center'. In right-to-left documents
+ *   'left' means the start edge.
+ * - hyphenate: true uses the patterns for data.language (English when it isn't
+ *   set, none for languages without patterns); a language tag ('es') picks them
+ * - minWordLength: shorter words are never hyphenated
+ * - breakWords: a word wider than the column (long URLs, identifiers) breaks
+ *   between any two characters instead of running past the edge
+ *
+ * Lines also break after hyphens already in a word ("microservices-architecture")
+ * when hyphenation is on. Code spans and links are never hyphenated.
+ */
+
+import { createHyphenator, hyphenationLanguages } from './hyphenation.js';
+
+export const TEXT_ALIGNS = ['left', 'justify', 'center'];
+
+export const DEFAULT_TEXT = {
+  align: 'left',
+  hyphenate: false,
+  minWordLength: 6,
+  breakWords: false,
+};
+
+/**
+ * Resolve a theme's text settings, filling in defaults
+ * @param {Object} theme
+ * @param {Object} formData - Checked form data (language)
+ * @returns {{ align: string, hyphenate: Function|null, language: string|null, minWordLength: number, breakWords: boolean }}
+ *          `hyphenate` returns a word's break offsets (see createHyphenator()), `language` is its language
+ */
+export function resolveTextStyle(theme, formData) {
+  const text = { ...DEFAULT_TEXT, ...theme.text };
+
+  if (!TEXT_ALIGNS.includes(text.align)) {
+    throw new Error(`Unknown text.align '${text.align}' (expected ${TEXT_ALIGNS.join(', ')})`);
+  }
+  if (!Number.isInteger(text.minWordLength) || text.minWordLength < 1) {
+    throw new Error(`Invalid text.minWordLength '${text.minWordLength}' (expected a whole number of letters, at least 1)`);
+  }
+
+  let hyphenate = null;
+  let language = null;
+  if (text.hyphenate) {
+    language = text.hyphenate === true ? formData.language || 'en' : text.hyphenate;
+    hyphenate = createHyphenator(language, text.minWordLength);
+    if (!hyphenate && text.hyphenate !== true) {
+      throw new Error(`Unknown hyphenation language '${language}' (expected ${hyphenationLanguages().join(', ')})`);
+    }
+  }
+
+  return {
+    align: text.align,
+    hyphenate,
+    language: hyphenate ? language : null,
+    minWordLength: text.minWordLength,
+    breakWords: Boolean(text.breakWords),
+  };
+}
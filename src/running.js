@@ -0,0 +1,113 @@
+/**
+ * jsPDF++ - Running page headers and footers
+ *
+ * theme.pageHeader and theme.pageFooter repeat a line of text on every page
+ * or only on continuation pages (page 2 onwards):
+ *
+ *   pageHeader: { text: '{name} | {contact}', pages: 'continuation', align: 'left' },
+ *   pageFooter: { text: 'Page {page} of {pages}', pages: 'all', align: 'center', fontSize: 8 },
+ *
+ * Placeholders: {name}, {contact}, {page}, {pages} and {date}. The header sits
+ * at the top margin and the footer at the bottom margin; content on pages that
+ * show them starts below / stops above the slot height plus its gap.
+ */
+
+import { pt } from './units.js';
+import { stripInline } from './inline.js';
+import { formatContact } from './sections.js';
+
+export const SLOT_PAGES = ['all', 'continuation', 'first'];
+export const SLOT_ALIGNS = ['left', 'center', 'right'];
+
+const SLOT_DEFAULTS = {
+  text: '',
+  pages: 'continuation',
+  align: 'left',
+  role: 'meta',     // Font role (see fontRoles)
+  fontSize: null,   // pt, defaults to theme.fonts.subHeader
+  color: null,      // RGB, defaults to theme.colors.role
+  gap: 4,           // mm between the slot and the content
+};
+
+/**
+ * Resolve one slot, or null when the theme doesn't define it
+ */
+function resolveSlot(theme, spec, defaults, key) {
+  if (!spec) return null;
+
+  const slot = { ...SLOT_DEFAULTS, ...defaults, ...(typeof spec === 'string' ? { text: spec } : spec) };
+  slot.fontSize = slot.fontSize || theme.fonts.subHeader;
+  slot.color = slot.color || theme.colors.role;
+  slot.height = pt(theme, slot.fontSize);
+
+  if (!SLOT_PAGES.includes(slot.pages)) {
+    throw new Error(`Unknown ${key}.pages '${slot.pages}' (expected ${SLOT_PAGES.join(', ')})`);
+  }
+  if (!SLOT_ALIGNS.includes(slot.align)) {
+    throw new Error(`Unknown ${key}.align '${slot.align}' (expected ${SLOT_ALIGNS.join(', ')})`);
+  }
+  return slot;
+}
+
+/**
+ * Resolve a theme's running header and footer
+ * A slot may be given as a plain template string.
+ * @param {Object} theme
+ * @returns {{ header: Object|null, footer: Object|null }}
+ */
+export function resolveRunningSlots(theme) {
+  return {
+    header: resolveSlot(theme, theme.pageHeader, {}, 'pageHeader'),
+    footer: resolveSlot(theme, theme.pageFooter, { pages: 'all' }, 'pageFooter'),
+  };
+}
+
+/**
+ * Whether a slot shows on a page (1-based)
+ */
+export function slotShowsOn(slot, page) {
+  if (!slot) return false;
+  if (slot.pages === 'first') return page === 1;
+  if (slot.pages === 'continuation') return page > 1;
+  return true;
+}
+
+/**
+ * Space a slot takes from the content area of a page (mm)
+ */
+export function slotReserve(slot, page) {
+  return slotShowsOn(slot, page) ? slot.height + slot.gap : 0;
+}
+
+// Helper: A date as YYYY-MM-DD in local time (toISOString() would give the UTC day)
+function localDate(date) {
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Values for the document-wide placeholders
+ * @param {Object} formData
+ * @param {Date|string} [date] - Shown as {date}; strings are used as-is (defaults to today, YYYY-MM-DD in local time)
+ * @returns {{ name: string, contact: string, date: string }}
+ */
+export function templateValues(formData, date = new Date()) {
+  const header = formData.sections.find(section => section.type === 'header');
+  const content = (header && header.content) || {};
+
+  return {
+    name: content.name || '',
+    contact: content.contact ? stripInline(formatContact(content.contact)).replace(/\u00A0/g, ' ') : '',
+    date: date instanceof Date ? localDate(date) : String(date),
+  };
+}
+
+/**
+ * Fill {placeholders}; unknown ones are left untouched
+ * @param {string} template
+ * @param {Object} values
+ * @returns {string}
+ */
+export function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (values[key] != null ? String(values[key]) : match));
+}
@@ -0,0 +1,364 @@
+/**
+ * jsPDF++ - Resume data schema and validation
+ *
+ * RESUME_SCHEMA is a JSON Schema (draft-07) for formData. validateResumeData()
+ * checks data against it and reports problems by path:
+ *
+ *   sections[2].content.jobs[0].roles: required
+ *   sections[4].type: unknown section type 'awards' (expected header, summary, ...)
+ *
+ * Errors are shapes the renderer can't draw. Warnings are things it would
+ * silently ignore: unknown section types and unknown fields.
+ *
+ * The validator implements the subset of JSON Schema the schemas use: type,
+ * enum, const, minLength, minimum, maximum, minItems, maxItems, required,
+ * properties, additionalProperties, items, allOf, if/then, default and local
+ * $ref. The non-standard `severity: 'warning'` downgrades an enum mismatch to
+ * a warning. The theme schema (src/theme.js) uses the same validator.
+ */
+
+import { SECTION_TYPES, CONTACT_TYPES } from './sections.js';
+
+const text = { type: 'string' };
+const requiredText = { type: 'string', minLength: 1 };
+const textOrList = { type: ['string', 'array'], items: text };
+const bullets = { type: 'array', items: text };
+
+// Helper: Content schema for an entry section whose items share the same item shape
+function itemsContent(item) {
+  return {
+    type: 'object',
+    required: ['items'],
+    properties: { items: { type: 'array', items: { type: 'object', additionalProperties: false, ...item } } },
+    additionalProperties: false,
+  };
+}
+
+// Helper: Section of a given type uses this content schema
+function sectionRule(type, content, required = ['title']) {
+  return {
+    if: { required: ['type'], properties: { type: { const: type } } },
+    then: { required, properties: { content: { $ref: `#/definitions/${content}` } } },
+  };
+}
+
+export const RESUME_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'jsPDF++ resume data',
+  type: 'object',
+  required: ['sections'],
+  properties: {
+    language: { type: 'string' },
+    sections: { type: 'array', items: { $ref: '#/definitions/section' } },
+  },
+  additionalProperties: false,
+
+  definitions: {
+    section: {
+      type: 'object',
+      required: ['type', 'content'],
+      properties: {
+        type: { type: 'string', title: 'section type', enum: SECTION_TYPES, severity: 'warning' },
+        title: requiredText,
+        id: text,
+        content: { type: 'object' },
+      },
+      additionalProperties: false,
+      allOf: [
+        sectionRule('header', 'headerContent', []),
+        sectionRule('summary', 'summaryContent', []),
+        sectionRule('section', 'listContent'),
+        sectionRule('experience', 'experienceContent'),
+        sectionRule('education', 'educationContent'),
+        sectionRule('projects', 'projectsContent'),
+        sectionRule('certifications', 'certificationsContent'),
+        sectionRule('languages', 'languagesContent'),
+        sectionRule('publications', 'publicationsContent'),
+        sectionRule('skills', 'skillsContent'),
+      ],
+    },
+
+    contactItem: {
+      type: 'object',
+      required: ['type', 'value'],
+      properties: {
+        type: { type: 'string', title: 'contact type', enum: CONTACT_TYPES },
+        value: requiredText,
+        label: text,
+        icon: text,
+      },
+      additionalProperties: false,
+    },
+
+    headerContent: {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: requiredText,
+        contact: { type: ['string', 'array'], items: { $ref: '#/definitions/contactItem' } },
+        photo: { type: ['string', 'object'] }, // PNG or JPEG: asset path, URL, data URI or bytes
+      },
+      additionalProperties: false,
+    },
+
+    summaryContent: {
+      type: 'object',
+      required: ['text'],
+      properties: { text },
+      additionalProperties: false,
+    },
+
+    listContent: {
+      type: 'object',
+      required: ['bullets'],
+      properties: { bullets },
+      additionalProperties: false,
+    },
+
+    experienceContent: {
+      type: 'object',
+      required: ['jobs'],
+      properties: {
+        jobs: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['company', 'roles'],
+            properties: {
+              company: requiredText,
+              roles: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['bullets'],
+                  properties: { title: text, period: text, bullets },
+                  additionalProperties: false,
+                },
+              },
+            },
+            additionalProperties: false,
+          },
+        },
+      },
+      additionalProperties: false,
+    },
+
+    educationContent: itemsContent({
+      required: ['school'],
+      properties: {
+        school: requiredText,
+        degree: text,
+        field: text,
+        period: text,
+        gpa: { type: ['string', 'number'] },
+        honors: textOrList,
+        bullets: textOrList,
+      },
+    }),
+
+    projectsContent: itemsContent({
+      required: ['name'],
+      properties: { name: requiredText, url: text, tech: textOrList, period: text, bullets: textOrList },
+    }),
+
+    certificationsContent: itemsContent({
+      required: ['name'],
+      properties: { name: requiredText, issuer: text, date: text, credentialId: text, bullets: textOrList },
+    }),
+
+    publicationsContent: itemsContent({
+      required: ['title'],
+      properties: { title: requiredText, publisher: text, authors: textOrList, date: text, bullets: textOrList },
+    }),
+
+    skillsContent: itemsContent({
+      required: ['name'],
+      properties: {
+        name: requiredText,
+        level: { type: 'number', minimum: 0, maximum: 5 },
+        percent: { type: 'number', minimum: 0, maximum: 100 },
+        category: text,
+      },
+    }),
+
+    languagesContent: {
+      type: 'object',
+      required: ['items'],
+      properties: {
+        items: {
+          type: 'array',
+          items: {
+            type: ['string', 'object'],
+            required: ['language'],
+            properties: { language: requiredText, proficiency: text },
+            additionalProperties: false,
+          },
+        },
+      },
+      additionalProperties: false,
+    },
+  },
+};
+
+// Helper: JSON Schema type name of a value
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+// Helper: Whether a value is of a JSON Schema type
+function isType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  return typeOf(value) === type;
+}
+
+// Helper: Append a property name or array index to a path
+function childPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+// Helper: Resolve a local "#/definitions/name" reference
+function resolveRef(root, ref) {
+  const name = ref.replace(/^#\/definitions\//, '');
+  const target = root.definitions && root.definitions[name];
+  if (!target) throw new Error(`Unresolvable schema reference '${ref}'`);
+  return target;
+}
+
+/**
+ * Helper: Check one value against a schema, reporting into { errors, warnings }
+ */
+function check(root, schema, value, path, report) {
+  if (schema.$ref) schema = resolveRef(root, schema.$ref);
+  const at = path || '(root)';
+
+  if (schema.const !== undefined && value !== schema.const) {
+    report.errors.push({ path: at, message: `expected '${schema.const}'` });
+    return;
+  }
+
+  const type = typeOf(value);
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(expected => isType(value, expected))) {
+    report.errors.push({ path: at, message: `expected ${types.join(' or ')}, got ${type}` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    const problems = schema.severity === 'warning' ? report.warnings : report.errors;
+    problems.push({ path: at, message: `unknown ${schema.title || 'value'} '${value}' (expected ${schema.enum.join(', ')})` });
+    return;
+  }
+
+  if (type === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    report.errors.push({ path: at, message: 'must not be empty' });
+  }
+
+  if (type === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      report.errors.push({ path: at, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      report.errors.push({ path: at, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      report.errors.push({ path: at, message: `expected at least ${schema.minItems} items, got ${value.length}` });
+    } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      report.errors.push({ path: at, message: `expected at most ${schema.maxItems} items, got ${value.length}` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => check(root, schema.items, item, childPath(path, index), report));
+    }
+  }
+
+  if (type === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === null) {
+        report.errors.push({ path: childPath(path, key), message: 'required' });
+      }
+    });
+
+    const properties = schema.properties || {};
+    Object.entries(value).forEach(([key, child]) => {
+      if (child === undefined || child === null) return; // Missing: reported by `required` when it matters
+      if (properties[key]) {
+        check(root, properties[key], child, childPath(path, key), report);
+      } else if (schema.additionalProperties === false) {
+        report.warnings.push({ path: childPath(path, key), message: 'unknown field, ignored' });
+      } else if (schema.additionalProperties) {
+        check(root, schema.additionalProperties, child, childPath(path, key), report);
+      }
+    });
+  }
+
+  (schema.allOf || []).forEach(rule => {
+    if (!rule.if) {
+      check(root, rule, value, path, report);
+      return;
+    }
+    const probe = { errors: [], warnings: [] };
+    check(root, rule.if, value, path, probe);
+    if (probe.errors.length === 0 && rule.then) check(root, rule.then, value, path, report);
+  });
+}
+
+/**
+ * Check a value against a schema using the supported JSON Schema subset
+ * @param {Object} schema - Root schema (local $refs resolve against its definitions)
+ * @param {*} value
+ * @returns {{ valid: boolean, errors: Object[], warnings: Object[] }} Problems as { path, message }
+ */
+export function checkSchema(schema, value) {
+  const report = { errors: [], warnings: [] };
+  check(schema, schema, value, '', report);
+  return { valid: report.errors.length === 0, ...report };
+}
+
+/**
+ * Copy a value, filling in missing properties from the schema's `default`s
+ * Defaults of object properties are filled recursively, so `spacing: {}`
+ * with a default of `{}` picks up the defaults of each spacing key.
+ * @param {Object} schema - Root schema
+ * @param {*} value
+ * @returns {*}
+ */
+export function applyDefaults(schema, value) {
+  return fillDefaults(schema, schema, value);
+}
+
+function fillDefaults(root, schema, value) {
+  if (schema.$ref) schema = resolveRef(root, schema.$ref);
+  if (typeOf(value) !== 'object' || !schema.properties) return value;
+
+  const filled = { ...value };
+  Object.entries(schema.properties).forEach(([key, property]) => {
+    if (filled[key] === undefined && property.default !== undefined) {
+      filled[key] = JSON.parse(JSON.stringify(property.default));
+    }
+    if (filled[key] !== undefined) filled[key] = fillDefaults(root, property, filled[key]);
+  });
+  return filled;
+}
+
+/**
+ * Validate resume data against RESUME_SCHEMA
+ * @param {Object} data - formData for generatePDF
+ * @returns {{ valid: boolean, errors: Object[], warnings: Object[] }} Problems as { path, message }
+ */
+export function validateResumeData(data) {
+  return checkSchema(RESUME_SCHEMA, data);
+}
+
+/**
+ * Format problems as "path: message" lines
+ * @param {Object[]} problems
+ * @returns {string}
+ */
+export function formatProblems(problems) {
+  return problems.map(({ path, message }) => `${path}: ${message}`).join('\n');
+}
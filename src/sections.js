@@ -0,0 +1,185 @@
+/**
+ * jsPDF++ - Section model
+ *
+ * Structured section types are normalised into entries so every theme styles
+ * them the same way and they share ghost tags:
+ *
+ *   ### Heading                   (company, school, project, certification, publication)
+ *   meta line          right     (role title / degree / tech stack, period or date)
+ *   - bullet
+ *
+ * An entry may hold several meta + bullets groups, which is how one company
+ * lists multiple roles.
+ */
+
+import { escapeInline, isSafeUrl, urlScheme } from './inline.js';
+
+export const SECTION_TYPES = [
+  'header',
+  'summary',
+  'section',
+  'experience',
+  'education',
+  'projects',
+  'certifications',
+  'languages',
+  'publications',
+  'skills',
+];
+
+// Helper: Accept a string or an array for list-like fields
+function toList(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Helper: Link target for [label](href), with "(", ")" and whitespace percent-encoded
+// Any of them would end the target early ("/wiki/Jane_(developer)" -> "/wiki/Jane_%28developer%29")
+function linkTarget(href) {
+  return href.replace(/[()\s]/g, char => ({ '(': '%28', ')': '%29' })[char] || encodeURIComponent(char));
+}
+
+// Helper: Join the non-empty parts
+function join(parts, separator) {
+  return parts.filter(Boolean).join(separator);
+}
+
+// Item -> entry mappers for structured section types
+const ENTRY_MAPPERS = {
+  experience: job => ({
+    heading: job.company,
+    groups: (job.roles || []).map(role => ({
+      meta: role.title,
+      metaRight: role.period,
+      bullets: role.bullets || [],
+    })),
+  }),
+
+  education: item => ({
+    heading: item.school,
+    groups: [{
+      meta: join([item.degree, item.field], ', '),
+      metaRight: item.period,
+      bullets: [
+        ...(item.gpa ? [`GPA: ${item.gpa}`] : []),
+        ...toList(item.honors),
+        ...toList(item.bullets),
+      ],
+    }],
+  }),
+
+  projects: item => ({
+    heading: item.name,
+    groups: [{
+      meta: join([item.url, toList(item.tech).join(', ')], ' | '),
+      metaRight: item.period,
+      bullets: toList(item.bullets),
+    }],
+  }),
+
+  certifications: item => ({
+    heading: item.name,
+    headingRight: item.date,
+    groups: [{
+      meta: join([item.issuer, item.credentialId && `Credential ID: ${item.credentialId}`], ' | '),
+      bullets: toList(item.bullets),
+    }],
+  }),
+
+  publications: item => ({
+    heading: item.title,
+    groups: [{
+      meta: join([item.publisher, toList(item.authors).join(', ')], ' | '),
+      metaRight: item.date,
+      bullets: toList(item.bullets),
+    }],
+  }),
+};
+
+export const CONTACT_TYPES = ['email', 'phone', 'location', 'url'];
+
+/**
+ * Link target for a structured contact item (null for locations, and URLs with a scheme that isn't in LINK_SCHEMES)
+ * @param {Object} item - { type, value, label?, icon? }
+ * @returns {string|null}
+ */
+export function contactHref(item) {
+  const value = String(item.value).trim();
+  switch (item.type) {
+    case 'email':
+      return `mailto:${value}`;
+    case 'phone':
+      return `tel:${value.replace(/[^\d+]/g, '')}`;
+    case 'url':
+      if (!urlScheme(value)) return `https://${value}`;
+      return isSafeUrl(value) ? value : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Visible text for a structured contact item: the label, or the value without the URL scheme
+ * @param {Object} item
+ * @returns {string}
+ */
+export function contactLabel(item) {
+  if (item.label) return item.label;
+  const value = String(item.value).trim();
+  return item.type === 'url' ? value.replace(/^https?:\/\/(www\.)?/i, '').replace(/\/$/, '') : value;
+}
+
+/**
+ * Format header contact as inline markdown: items become [label](href) links
+ * joined by the separator. Spaces inside an item and before a separator are
+ * non-breaking, so wrapped lines only break between items.
+ * @param {string|Object[]} contact - Legacy string or structured items
+ * @param {string} [separator=' | ']
+ * @returns {string}
+ */
+export function formatContact(contact, separator = ' | ') {
+  if (typeof contact === 'string') return contact;
+
+  const glue = separator.replace(/^\s+/, spaces => '\u00A0'.repeat(spaces.length));
+  return contact.map(item => {
+    const label = escapeInline(contactLabel(item)).replace(/ /g, '\u00A0');
+    const icon = item.icon ? `${escapeInline(item.icon)}\u00A0` : '';
+    const href = contactHref(item);
+    return icon + (href ? `[${label}](${linkTarget(href)})` : label);
+  }).join(glue);
+}
+
+/**
+ * Format a language item as a bullet: "English (Native)"
+ */
+export function formatLanguage(item) {
+  if (typeof item === 'string') return item;
+  return item.proficiency ? `${item.language} (${item.proficiency})` : item.language;
+}
+
+/**
+ * Whether a section type renders as headed entries (### heading, meta, bullets)
+ */
+export function isEntrySection(type) {
+  return Boolean(ENTRY_MAPPERS[type]);
+}
+
+/**
+ * Normalise an entry-based section into { heading, headingRight, groups: [{ meta, metaRight, bullets }] }
+ * @param {Object} section - experience | education | projects | certifications | publications
+ * @returns {Object[]}
+ */
+export function sectionEntries(section) {
+  const items = section.type === 'experience' ? section.content.jobs : section.content.items;
+  return items.map(ENTRY_MAPPERS[section.type]);
+}
+
+/**
+ * Bullet strings for list sections ('section' and 'languages')
+ * @param {Object} section
+ * @returns {string[]}
+ */
+export function sectionBullets(section) {
+  if (section.type === 'languages') return section.content.items.map(formatLanguage);
+  return section.content.bullets;
+}
@@ -0,0 +1,148 @@
+/**
+ * jsPDF++ - Skill ratings
+ *
+ * A 'skills' section lists structured items instead of bullet strings:
+ *
+ *   { type: 'skills', title: 'Skills', content: { items: [
+ *     { name: 'TypeScript', level: 5, category: 'Frontend' },
+ *     { name: 'Go', percent: 80, category: 'Backend' },
+ *   ] } }
+ *
+ * `level` runs from 0 to 5 and `percent` from 0 to 100; an item may have
+ * neither. Items with a category are grouped under it, and items without one
+ * together, in the order the groups first appear. theme.skills chooses how
+ * they are drawn:
+ *
+ *   skills: { style: 'bars', columns: 2, color: [37, 99, 235] },
+ *
+ * - 'dots': the name, then a row of dots filled up to the level
+ * - 'bars': the name, then a progress bar
+ * - 'tags': pill-shaped tags that wrap into rows (the level isn't drawn)
+ *
+ * Dots and bars fill `columns` columns, top to bottom. Every item is also written
+ * as a plain-text ghost tag, "- TypeScript (Expert)", so ATS parsers read the
+ * level as text. All lengths are in mm.
+ */
+
+export const SKILL_STYLES = ['dots', 'bars', 'tags'];
+
+export const DEFAULT_SKILLS = {
+  style: 'dots',
+  columns: 2,         // Columns of dot and bar ratings
+  columnGap: 8,       // Between columns
+  color: null,        // Filled dots and bars; defaults to colors.heading
+  trackColor: null,   // Empty dots, bar tracks and tags; defaults to color at 20% over colors.bg
+  dots: 5,            // Dots per rating
+  dotSize: 1,         // Dot radius
+  barWidth: 25,
+  barHeight: 1.5,
+  tagPadding: 2,      // Left and right of a tag's text (half that above and below)
+  tagGap: 2,          // Between tags and between rows of tags
+  levels: ['Beginner', 'Elementary', 'Intermediate', 'Advanced', 'Expert'], // Names of levels 1 to 5
+};
+
+// Helper: Colour `share` of the way from `base` to `color`
+function tint(color, base, share) {
+  return color.map((channel, i) => Math.round(base[i] + (channel - base[i]) * share));
+}
+
+/**
+ * Resolve a theme's skill rating settings, filling in defaults
+ * @param {Object} theme
+ * @returns {Object} DEFAULT_SKILLS with the theme's values and colours
+ */
+export function resolveSkills(theme) {
+  const skills = { ...DEFAULT_SKILLS, ...theme.skills };
+
+  if (!SKILL_STYLES.includes(skills.style)) {
+    throw new Error(`Unknown skills.style '${skills.style}' (expected ${SKILL_STYLES.join(', ')})`);
+  }
+  if (!Number.isInteger(skills.columns) || skills.columns < 1) {
+    throw new Error(`Invalid skills.columns '${skills.columns}' (expected a whole number, at least 1)`);
+  }
+  if (!Number.isInteger(skills.dots) || skills.dots < 1) {
+    throw new Error(`Invalid skills.dots '${skills.dots}' (expected a whole number, at least 1)`);
+  }
+
+  skills.color = skills.color || theme.colors.heading;
+  skills.trackColor = skills.trackColor || tint(skills.color, theme.colors.bg, 0.2);
+  return skills;
+}
+
+/**
+ * Share of the full rating an item has
+ * @param {Object} item - { name, level?, percent? }
+ * @returns {number|null} 0 to 1, or null when the item has no level
+ */
+export function skillFraction(item) {
+  if (typeof item.level === 'number') return Math.min(Math.max(item.level / 5, 0), 1);
+  if (typeof item.percent === 'number') return Math.min(Math.max(item.percent / 100, 0), 1);
+  return null;
+}
+
+/**
+ * Name of an item's level, its fraction rounded to the nearest of the five levels
+ * @param {Object} item
+ * @param {string[]} [levels] - Names of levels 1 to 5
+ * @returns {string} '' when the item has no level (or level 0)
+ */
+export function skillLabel(item, levels = DEFAULT_SKILLS.levels) {
+  const fraction = skillFraction(item);
+  if (fraction === null) return '';
+  const level = Math.round(fraction * 5);
+  return level > 0 ? levels[level - 1] || '' : '';
+}
+
+/**
+ * Plain-text form of an item: "TypeScript (Expert)"
+ * @param {Object} item
+ * @param {string[]} [levels]
+ * @returns {string}
+ */
+export function formatSkill(item, levels) {
+  const label = skillLabel(item, levels);
+  return label ? `${item.name} (${label})` : item.name;
+}
+
+/**
+ * Items of a skills section grouped by category, in the order each group first appears
+ * @param {Object} section
+ * @returns {{ category: string|null, items: Object[] }[]}
+ */
+export function skillGroups(section) {
+  const groups = new Map();
+  section.content.items.forEach(item => {
+    const category = item.category || null;
+    if (!groups.has(category)) groups.set(category, []);
+    groups.get(category).push(item);
+  });
+  return [...groups.entries()].map(([category, items]) => ({ category, items }));
+}
+
+/**
+ * Dots or bar of a rating, as layout shapes
+ * @param {Object} skills - Resolved skills settings
+ * @param {number} fraction - From skillFraction()
+ * @param {number} endX - Right edge of the rating
+ * @param {number} cy - Vertical centre
+ * @returns {Object[]} Circles for 'dots'; the track, then the fill, as rounded rects for 'bars'
+ */
+export function ratingShapes(skills, fraction, endX, cy) {
+  const { color, trackColor } = skills;
+
+  if (skills.style === 'dots') {
+    const radius = skills.dotSize;
+    const pitch = radius * 3;
+    const filled = Math.round(fraction * skills.dots);
+    const firstX = endX - radius - (skills.dots - 1) * pitch;
+    return Array.from({ length: skills.dots }, (unused, i) => ({
+      type: 'circle', x: firstX + i * pitch, y: cy, radius, color: i < filled ? color : trackColor,
+    }));
+  }
+
+  const { barWidth: width, barHeight: height } = skills;
+  const bar = { type: 'rect', x: endX - width, y: cy - height / 2, height, radius: height / 2 };
+  const shapes = [{ ...bar, width, color: trackColor }];
+  if (fraction > 0) shapes.push({ ...bar, width: Math.max(width * fraction, height), color }); // At least a round cap
+  return shapes;
+}
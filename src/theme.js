@@ -0,0 +1,327 @@
+/**
+ * jsPDF++ - Theme schema, validation and inheritance
+ *
+ * THEME_SCHEMA describes every key the renderer reads. validateTheme() reports
+ * missing and mis-typed keys and returns a copy with the documented defaults
+ * filled in; generatePDF runs it on every theme. Only the values that define a
+ * look are required (name, fonts and the five base colours). Spacing, line
+ * heights, prefixes and the rest default to the Modern theme's values.
+ *
+ * extendTheme() derives a theme from another without copying the whole file:
+ *
+ *   const roomy = extendTheme(modernTheme, {
+ *     name: 'Modern Roomy',
+ *     spacing: { h2MarginTop: 18 },
+ *     colors: { heading: [220, 38, 38] },
+ *   });
+ */
+
+import { checkSchema, applyDefaults } from './schema.js';
+import { FONT_WEIGHTS } from './fonts.js';
+import { BULLET_SHAPES, SECTION_HEADER_STYLES, TEXT_TRANSFORMS, PHOTO_SHAPES, PHOTO_POSITIONS } from './decorations.js';
+import { GHOST_MODES } from './ghost.js';
+import { SLOT_PAGES, SLOT_ALIGNS } from './running.js';
+import { TEXT_ALIGNS } from './paragraph.js';
+import { SKILL_STYLES } from './skills.js';
+
+const rgb = { type: 'array', items: { type: 'number', minimum: 0, maximum: 255 }, minItems: 3, maxItems: 3 };
+const size = { type: 'number', minimum: 0 };
+const length = { type: ['number', 'string'] }; // mm, or '12mm' | '48px' | '30%' in layouts
+
+// Helper: Object of numbers with a default each
+function numbers(defaults) {
+  return {
+    type: 'object',
+    default: {},
+    properties: Object.fromEntries(Object.entries(defaults).map(([key, value]) => [key, { ...size, default: value }])),
+    additionalProperties: false,
+  };
+}
+
+// Helper: Object of required sizes in points
+function requiredSizes(keys) {
+  return {
+    type: 'object',
+    required: keys,
+    properties: Object.fromEntries(keys.map(key => [key, { type: 'number', minimum: 0.1 }])),
+    additionalProperties: false,
+  };
+}
+
+const weight = { type: 'string', title: 'font weight', enum: FONT_WEIGHTS };
+
+// 'semibold' or { family: 'JetBrainsMono', weight: 'normal' }
+const fontRole = {
+  type: ['string', 'object'],
+  properties: { family: { type: 'string' }, weight },
+  additionalProperties: false,
+  allOf: [{ if: { type: 'string' }, then: weight }],
+};
+
+const runningSlot = {
+  type: ['string', 'object'],
+  properties: {
+    text: { type: 'string' },
+    pages: { type: 'string', title: 'page selection', enum: SLOT_PAGES },
+    align: { type: 'string', title: 'alignment', enum: SLOT_ALIGNS },
+    role: { type: 'string' },
+    fontSize: size,
+    color: rgb,
+    gap: size,
+  },
+  additionalProperties: false,
+};
+
+export const THEME_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'jsPDF++ theme',
+  type: 'object',
+  required: ['name', 'fonts', 'colors'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    margin: { ...size, default: 15 },
+
+    page: {
+      type: 'object',
+      properties: {
+        format: { type: ['string', 'array'], items: size, minItems: 2, maxItems: 2 },
+        orientation: { type: 'string', title: 'orientation', enum: ['portrait', 'landscape'] },
+      },
+      additionalProperties: false,
+    },
+
+    // px
+    spacing: numbers({
+      headerBottomMargin: 12,
+      h1MarginBottom: 4,
+      subHeaderMarginBottom: 12,
+      h2MarginTop: 12,
+      h2MarginBottom: 6,
+      h3MarginTop: 8,
+      jobHeaderMarginBottom: 4,
+      ulMarginTop: 4,
+      ulMarginBottom: 10,
+      liMarginBottom: 3,
+      sectionMarginBottom: 16,
+    }),
+
+    // pt
+    fonts: requiredSizes(['h1', 'subHeader', 'h2', 'h3', 'li', 'body']),
+
+    lineHeights: numbers({ li: 1.5, body: 1.4 }),
+
+    colors: {
+      type: 'object',
+      required: ['bg', 'name', 'role', 'heading', 'text'],
+      properties: { bg: rgb, name: rgb, role: rgb, heading: rgb, text: rgb },
+      additionalProperties: rgb, // link, bulletColor, prefixGreen, prefixGray...
+    },
+
+    prefixes: {
+      type: 'object',
+      default: {},
+      properties: {
+        h1: { type: 'string', default: '' },
+        subHeader: { type: 'string', default: '' },
+        h2: { type: 'string', default: '' },
+        h3: { type: 'string', default: '' },
+        jobMeta: { type: 'string', default: '' },
+        bullet: { type: 'string', default: '•' },
+      },
+      additionalProperties: false,
+    },
+
+    images: {
+      type: ['object', 'null'],
+      default: null,
+      required: ['headerBar', 'sectionBar'],
+      properties: {
+        headerBar: { type: 'string' },
+        sectionBar: { type: 'string' },
+        headerBarHeight: { ...size, default: 1 },
+        sectionBarWidth: { ...size, default: 1.25 },
+        sectionBarHeight: { ...size, default: 3.5 },
+        sectionBarOffset: { type: 'number', default: -2.5 },
+      },
+      additionalProperties: false,
+    },
+
+    fontFamily: { type: 'string', default: 'Inter' },
+    fontRoles: { type: 'object', additionalProperties: fontRole },
+    fontFaces: { type: 'object', additionalProperties: { type: 'object' } },
+    fontFallbacks: { type: 'array', items: { type: 'string' } },
+
+    bullet: {
+      type: 'object',
+      properties: {
+        shape: { type: 'string', title: 'bullet shape', enum: BULLET_SHAPES },
+        glyph: { type: 'string' },
+        path: { type: 'array', items: { type: 'array', items: { type: 'number' }, minItems: 2, maxItems: 2 } },
+        size,
+        offset: { type: 'number' },
+        rise: { type: 'number' },
+        indent: size,
+        color: rgb,
+      },
+      additionalProperties: false,
+    },
+
+    header: {
+      type: 'object',
+      properties: {
+        align: { type: 'string', title: 'alignment', enum: ['left', 'center', 'right'] },
+        transform: { type: 'string', title: 'text transform', enum: TEXT_TRANSFORMS },
+        rule: { type: ['object', 'null'], properties: { thickness: size, color: rgb, gap: size }, additionalProperties: false },
+        photo: {
+          type: 'object',
+          properties: {
+            size,
+            position: { type: 'string', title: 'photo position', enum: PHOTO_POSITIONS },
+            shape: { type: 'string', title: 'photo shape', enum: PHOTO_SHAPES },
+            radius: size,
+            gap: size,
+            border: { type: ['object', 'null'], properties: { width: size, color: rgb }, additionalProperties: false },
+          },
+          additionalProperties: false,
+        },
+      },
+      additionalProperties: false,
+    },
+
+    sectionHeader: {
+      type: 'object',
+      properties: {
+        style: { type: 'string', title: 'section header style', enum: SECTION_HEADER_STYLES },
+        transform: { type: 'string', title: 'text transform', enum: TEXT_TRANSFORMS },
+        color: { type: ['array', 'null'], items: rgb.items, minItems: 3, maxItems: 3 },
+        box: {
+          type: 'object',
+          properties: { fill: rgb, borderColor: rgb, borderWidth: size, padding: size, textOffset: size },
+          additionalProperties: false,
+        },
+      },
+      additionalProperties: false,
+    },
+
+    layout: {
+      type: ['object', 'null'],
+      properties: {
+        gap: length,
+        columns: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              width: length,
+              sections: { type: 'array', items: { type: 'string' } },
+              background: rgb,
+            },
+            additionalProperties: false,
+          },
+        },
+      },
+      additionalProperties: false,
+    },
+
+    pagination: {
+      type: 'object',
+      properties: {
+        keepWithNext: { type: 'integer', minimum: 1 },
+        orphans: { type: 'integer', minimum: 1 },
+        widows: { type: 'integer', minimum: 1 },
+      },
+      additionalProperties: false,
+    },
+
+    ghostTags: {
+      type: 'object',
+      properties: {
+        mode: { type: 'string', title: 'ghost tag mode', enum: GHOST_MODES },
+        inline: { type: 'boolean' },
+        tags: { type: 'object', additionalProperties: { type: 'string' } },
+        sections: { type: 'object', additionalProperties: { type: 'object', additionalProperties: { type: 'string' } } },
+      },
+      additionalProperties: false,
+    },
+
+    pageHeader: runningSlot,
+    pageFooter: runningSlot,
+
+    contact: {
+      type: 'object',
+      properties: { separator: { type: 'string' }, wrap: { type: 'boolean' }, lineHeight: size },
+      additionalProperties: false,
+    },
+
+    // Summary and bullet paragraphs
+    text: {
+      type: 'object',
+      properties: {
+        align: { type: 'string', title: 'text alignment', enum: TEXT_ALIGNS },
+        hyphenate: { type: ['boolean', 'string'] }, // true (data.language) or a language tag
+        minWordLength: { type: 'integer', minimum: 1 },
+        breakWords: { type: 'boolean' },
+      },
+      additionalProperties: false,
+    },
+
+    // Skill ratings (skills sections)
+    skills: {
+      type: 'object',
+      properties: {
+        style: { type: 'string', title: 'skills style', enum: SKILL_STYLES },
+        columns: { type: 'integer', minimum: 1 },
+        columnGap: size,
+        color: rgb,
+        trackColor: rgb,
+        dots: { type: 'integer', minimum: 1 },
+        dotSize: size,
+        barWidth: size,
+        barHeight: size,
+        tagPadding: size,
+        tagGap: size,
+        levels: { type: 'array', items: { type: 'string' }, minItems: 5, maxItems: 5 },
+      },
+      additionalProperties: false,
+    },
+  },
+  additionalProperties: false,
+};
+
+/**
+ * Validate a theme and fill in the documented defaults
+ * @param {Object} theme
+ * @returns {{ valid: boolean, errors: Object[], warnings: Object[], theme: Object }}
+ *          Problems as { path, message }; `theme` is a copy with defaults applied
+ */
+export function validateTheme(theme) {
+  const result = checkSchema(THEME_SCHEMA, theme);
+  return { ...result, theme: applyDefaults(THEME_SCHEMA, theme) };
+}
+
+// Helper: Plain object (not an array, null or class instance)
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+// Helper: Deep merge of plain objects; arrays (RGB colours, paths) and other values are replaced
+function deepMerge(base, overrides) {
+  const merged = { ...base };
+  Object.entries(overrides).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? deepMerge(base[key], value) : value;
+  });
+  return merged;
+}
+
+/**
+ * Derive a theme from a base theme
+ * Nested objects merge key by key; arrays and other values replace the base value.
+ * Neither argument is modified.
+ * @param {Object} base - Theme to start from
+ * @param {...Object} overrides - Partial themes, applied left to right
+ * @returns {Object}
+ */
+export function extendTheme(base, ...overrides) {
+  return overrides.reduce((theme, override) => deepMerge(theme, override || {}), base);
+}
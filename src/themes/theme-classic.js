@@ -8,6 +8,8 @@ export default {
 
   margin: 15,
 
+  page: { format: 'a4', orientation: 'portrait' },
+
   spacing: {
     headerBottomMargin: 12,
     h1MarginBottom: 4,
@@ -19,6 +21,16 @@ export default {
     ulMarginTop: 4,
     ulMarginBottom: 10,
     liMarginBottom: 3,
+    sectionMarginBottom: 16,
+  },
+
+  fontFamily: 'Inter',
+
+  fontRoles: {
+    name: 'medium',
+    heading: 'medium',
+    body: 'normal',
+    meta: 'light',
   },
 
   fonts: {
@@ -52,5 +64,11 @@ export default {
     bullet: '▪',  // Square bullet (classic style)
   },
 
+  header: {
+    align: 'center',
+    transform: 'uppercase',
+    rule: { thickness: 1.5, color: [0, 0, 0], gap: 4 },  // Thick black separator
+  },
+
   images: null,
 };
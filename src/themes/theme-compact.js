@@ -8,6 +8,8 @@ export default {
 
   margin: 12,
 
+  page: { format: 'a4', orientation: 'portrait' },
+
   spacing: {
     headerBottomMargin: 10,
     h1MarginBottom: 3,
@@ -19,6 +21,16 @@ export default {
     ulMarginTop: 3,
     ulMarginBottom: 8,
     liMarginBottom: 2,
+    sectionMarginBottom: 12,
+  },
+
+  fontFamily: 'JetBrainsMono',
+
+  fontRoles: {
+    name: 'bold',
+    heading: 'bold',
+    body: 'normal',
+    meta: 'normal',
   },
 
   fonts: {
@@ -53,5 +65,15 @@ export default {
     bullet: '>',  // Arrow bullet (monospace style)
   },
 
+  header: {
+    rule: { thickness: 0.5, color: [0, 0, 0], gap: 6 },  // Matches section border thickness
+  },
+
+  sectionHeader: {
+    style: 'box',
+    color: [37, 99, 235],  // Blue section titles
+    box: { fill: [230, 231, 235], borderColor: [0, 0, 0], borderWidth: 0.5 },  // #E6E7EB bar, black left border
+  },
+
   images: null,
 };
@@ -8,6 +8,8 @@ export default {
 
   margin: 15,
 
+  page: { format: 'a4', orientation: 'portrait' },
+
   spacing: {
     headerBottomMargin: 12,
     h1MarginBottom: 4,
@@ -22,6 +24,15 @@ export default {
     sectionMarginBottom: 16,
   },
 
+  fontFamily: 'Inter',
+
+  fontRoles: {
+    name: 'semibold',
+    heading: 'semibold',
+    body: 'normal',
+    meta: 'light',
+  },
+
   fonts: {
     h1: 22,
     subHeader: 8,
@@ -54,9 +65,19 @@ export default {
     bullet: '★',  // Star bullet
   },
 
+  bullet: {
+    shape: 'diamond',  // Vector 4-pointed diamond (unicode ★ is unreliable in PDF fonts)
+    size: 0.9,
+    offset: 5.1,
+  },
+
+  sectionHeader: {
+    style: 'image',  // images.sectionBar left of the title
+  },
+
   images: {
-    headerBar: '/static/images/pdf/creative-header-bar.png',
-    sectionBar: '/static/images/pdf/creative-section-bar.png',
+    headerBar: 'images/creative-header-bar.png',
+    sectionBar: 'images/creative-section-bar.png',
     headerBarHeight: 1,    // mm
     sectionBarWidth: 1.25, // mm
     sectionBarHeight: 3.5, // mm
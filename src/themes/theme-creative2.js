@@ -8,6 +8,8 @@ export default {
 
   margin: 15,
 
+  page: { format: 'a4', orientation: 'portrait' },
+
   spacing: {
     headerBottomMargin: 12,
     h1MarginBottom: 4,
@@ -22,6 +24,15 @@ export default {
     sectionMarginBottom: 16,
   },
 
+  fontFamily: 'Inter',
+
+  fontRoles: {
+    name: 'semibold',
+    heading: 'semibold',
+    body: 'normal',
+    meta: 'light',
+  },
+
   fonts: {
     h1: 22,
     subHeader: 8,
@@ -54,9 +65,18 @@ export default {
     bullet: '▶',  // Solid right arrow bullet
   },
 
+  bullet: {
+    shape: 'triangle',  // Vector right-pointing triangle
+    size: 0.75,
+  },
+
+  sectionHeader: {
+    style: 'image',  // images.sectionBar left of the title
+  },
+
   images: {
-    headerBar: '/static/images/pdf/creative2-header-bar.png',
-    sectionBar: '/static/images/pdf/creative2-section-bar.png',
+    headerBar: 'images/creative2-header-bar.png',
+    sectionBar: 'images/creative2-section-bar.png',
     headerBarHeight: 1,
     sectionBarWidth: 1.25, // mm
     sectionBarHeight: 3.5, // mm
@@ -10,6 +10,9 @@ export default {
   // Layout
   margin: 15,
 
+  // Preferred page size (overridable via generatePDF options)
+  page: { format: 'a4', orientation: 'portrait' },
+
   // Spacing (in pixels, converted by px() helper)
   spacing: {
     headerBottomMargin: 12,
@@ -22,6 +25,17 @@ export default {
     ulMarginTop: 4,
     ulMarginBottom: 10,
     liMarginBottom: 3,
+    sectionMarginBottom: 16,
+  },
+
+  // Font family and the weight each text role uses (see src/fonts.js)
+  fontFamily: 'Inter',
+
+  fontRoles: {
+    name: 'semibold',
+    heading: 'semibold',
+    body: 'normal',
+    meta: 'normal',
   },
 
   // Typography (font sizes in points)
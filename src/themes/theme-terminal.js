@@ -8,6 +8,8 @@ export default {
 
   margin: 15,
 
+  page: { format: 'a4', orientation: 'portrait' },
+
   spacing: {
     headerBottomMargin: 12,
     h1MarginBottom: 4,
@@ -19,6 +21,16 @@ export default {
     ulMarginTop: 4,
     ulMarginBottom: 10,
     liMarginBottom: 3,
+    sectionMarginBottom: 16,
+  },
+
+  fontFamily: 'JetBrainsMono',
+
+  fontRoles: {
+    name: 'bold',
+    heading: 'bold',
+    body: 'normal',
+    meta: 'normal',
   },
 
   fonts: {
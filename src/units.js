@@ -0,0 +1,21 @@
+/**
+ * jsPDF++ - CSS-to-PDF unit conversion
+ * CSS px are 96 per inch, PDF points 72 per inch, and the document unit is mm.
+ */
+
+// CSS-to-PDF conversion constants
+export const PT_TO_MM = 25.4 / 72;
+export const PX_TO_MM = 25.4 / 96;
+
+// Helper functions
+export function px(theme, value) {
+  return value * PX_TO_MM;
+}
+
+export function pt(theme, value) {
+  return value * PT_TO_MM;
+}
+
+export function lineHeight(theme, fontSize, lh) {
+  return fontSize * lh * PT_TO_MM;
+}
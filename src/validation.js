@@ -0,0 +1,88 @@
+/**
+ * jsPDF++ - Validation before rendering
+ * Shared by generatePDF and renderHTML, so both accept and reject the same input.
+ */
+
+import { validateResumeData, formatProblems } from './schema.js';
+import { validateTheme } from './theme.js';
+
+// Validation modes accepted by generatePDF and renderHTML (options.validate)
+export const VALIDATION_MODES = ['lenient', 'strict', 'off'];
+
+// Indexes in the given data of the sections lenient checks kept, by the formData they returned
+const givenIndexes = new WeakMap();
+
+/**
+ * Validate formData before rendering
+ * strict: any error or warning throws.
+ * lenient: problems are logged, sections with errors are skipped, and only
+ * errors outside the sections (e.g. no sections array) throw. originalIndex()
+ * still gives the kept sections' indexes in the data as given.
+ * @param {Object} formData
+ * @param {string} mode - One of VALIDATION_MODES
+ * @returns {Object} formData to render
+ */
+export function checkFormData(formData, mode) {
+  if (mode === 'off') return formData;
+
+  const { errors, warnings } = validateResumeData(formData);
+  const fail = problems => Object.assign(
+    new Error(`Invalid resume data:\n${formatProblems(problems)}`),
+    { errors, warnings }
+  );
+
+  if (mode === 'strict') {
+    if (errors.length > 0 || warnings.length > 0) throw fail([...errors, ...warnings]);
+    return formData;
+  }
+
+  const sectionIndex = problem => {
+    const match = /^sections\[(\d+)\]/.exec(problem.path);
+    return match ? Number(match[1]) : null;
+  };
+  const fatal = errors.filter(error => sectionIndex(error) === null);
+  if (fatal.length > 0) throw fail(fatal);
+
+  [...errors, ...warnings].forEach(({ path, message }) => console.warn(`Resume data: ${path}: ${message}`));
+  const skipped = new Set(errors.map(sectionIndex));
+  const kept = formData.sections
+    .map((section, index) => ({ section, index }))
+    .filter(({ index }) => !skipped.has(index));
+  const checked = { ...formData, sections: kept.map(({ section }) => section) };
+  givenIndexes.set(checked, kept.map(({ index }) => index));
+  return checked;
+}
+
+/**
+ * Index of a section in the data checkFormData() was given; skipped sections before it don't shift it
+ * @param {Object} formData - As returned by checkFormData()
+ * @param {Object} section - One of formData.sections
+ * @returns {number} -1 if the section isn't in formData
+ */
+export function originalIndex(formData, section) {
+  const index = formData.sections.indexOf(section);
+  const indexes = givenIndexes.get(formData);
+  return indexes && index !== -1 ? indexes[index] : index;
+}
+
+/**
+ * Validate a theme and fill in its defaults
+ * Theme errors always throw (except with 'off'); warnings throw in strict mode
+ * and are logged otherwise.
+ * @param {Object} input - Theme
+ * @param {string} mode - One of VALIDATION_MODES
+ * @returns {Object} Theme with defaults applied
+ */
+export function checkTheme(input, mode) {
+  const { errors, warnings, theme } = validateTheme(input);
+  if (mode === 'off') return theme;
+
+  const name = input && input.name;
+  const problems = mode === 'strict' ? [...errors, ...warnings] : errors;
+  if (problems.length > 0) {
+    throw Object.assign(new Error(`Invalid theme '${name}':\n${formatProblems(problems)}`), { errors, warnings });
+  }
+
+  warnings.forEach(({ path, message }) => console.warn(`Theme '${name}': ${path}: ${message}`));
+  return theme;
+}